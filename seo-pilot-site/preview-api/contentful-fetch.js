@@ -0,0 +1,72 @@
+/**
+ * Upstream requests of the Preview API: retries on Contentful rate limits (429) and a short-lived
+ * in-memory cache that also coalesces concurrent identical requests into one upstream fetch.
+ *
+ * Env: PREVIEW_MAX_RETRIES (default 3)
+ */
+
+/** Longest wait before a retry; a later rate limit reset is returned to the caller as the 429. */
+const MAX_RETRY_WAIT_MS = 10000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * fetch() that retries 429 responses after X-Contentful-RateLimit-Reset seconds (exponential
+ * backoff from 500 ms when the header is missing).
+ * @param {string} url
+ * @param {object} [init] - fetch options
+ * @param {{ retries?: number }} [opts]
+ * @returns {Promise<Response>} The first non-429 response, or the last 429 once retries are used up
+ */
+async function fetchWithRetry(url, init, { retries = Number(process.env.PREVIEW_MAX_RETRIES || 3) } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const r = await fetch(url, init);
+    if (r.status !== 429 || attempt >= retries) return r;
+    const reset = Number(r.headers.get('x-contentful-ratelimit-reset'));
+    const wait = (reset > 0 ? reset * 1000 : 500 * 2 ** attempt) + Math.floor(Math.random() * 250);
+    if (wait > MAX_RETRY_WAIT_MS) return r;
+    await r.body?.cancel();
+    await sleep(wait);
+  }
+}
+
+/**
+ * In-memory cache of async results. A value is kept for `ttlMs` after it resolves; failures are not
+ * cached. Calls for a key that is still loading share its promise.
+ * @param {{ ttlMs: number, maxEntries?: number }} opts - ttlMs 0 only coalesces concurrent calls
+ * @returns {{ get: (key: string, load: () => Promise<any>, opts?: { refresh?: boolean, ttlMs?: number }) => Promise<any> }}
+ *   refresh: ignore a cached value and load again; ttlMs: keep this value longer or shorter than the default
+ */
+function createCache({ ttlMs, maxEntries = 500 }) {
+  const entries = new Map();
+
+  function get(key, load, { refresh = false, ttlMs: keyTtlMs = ttlMs } = {}) {
+    const hit = entries.get(key);
+    if (hit && !refresh && (hit.pending || hit.expires > Date.now())) return hit.promise;
+
+    const record = { pending: true, expires: 0 };
+    record.promise = load().then(
+      (value) => {
+        record.pending = false;
+        record.expires = Date.now() + keyTtlMs;
+        if (!keyTtlMs && entries.get(key) === record) entries.delete(key);
+        return value;
+      },
+      (err) => {
+        if (entries.get(key) === record) entries.delete(key);
+        throw err;
+      }
+    );
+    entries.delete(key);
+    entries.set(key, record);
+    if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    return record.promise;
+  }
+
+  return { get };
+}
+
+module.exports = {
+  fetchWithRetry,
+  createCache,
+};
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Preview link authorization. Draft content is only returned for requests that carry
+ *   ?secret=PREVIEW_SECRET  the shared secret, as a fixed part of Contentful's preview URLs, or
+ *   ?token=EXPIRY.SIGNATURE  a signed link for one entry that expires (HMAC-SHA256 with
+ *                            PREVIEW_SECRET over page type, slug or id and expiry).
+ *
+ * Sign a link: npm run sign-link -- my-post-slug [--type case-study] [--id] [--hours 72]
+ */
+
+const crypto = require('crypto');
+
+/** Default lifetime of a signed link. */
+const DEFAULT_TOKEN_HOURS = 72;
+
+function signature(secret, type, key, expires) {
+  return crypto.createHmac('sha256', secret).update(`${type}:${key}:${expires}`).digest('base64url');
+}
+
+/** Constant-time string comparison (hashing first makes the lengths equal). */
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+/**
+ * Signed preview token for one entry.
+ * @param {{ type: string, key: string, expires: number }} link - Page type (see PAGE_TYPES), slug or
+ *   entry id as it appears in the preview URL, expiry (Unix seconds)
+ * @returns {string} "expires.signature"
+ */
+function signPreviewToken({ type, key, expires }, secret) {
+  return `${expires}.${signature(secret, type, key, expires)}`;
+}
+
+/**
+ * Check the credentials of a preview request.
+ * @param {{ secret?: string, token?: string }} credentials - From the query string
+ * @param {{ type: string, key: string }} target - What is being previewed
+ * @param {string} previewSecret - PREVIEW_SECRET
+ * @returns {string|null} Why the request is rejected (for the 401 response), or null if it is allowed
+ */
+function checkPreviewAuth({ secret, token }, { type, key }, previewSecret, now = Date.now()) {
+  if (secret) return safeEqual(secret, previewSecret) ? null : 'Invalid preview secret.';
+  if (!token) return 'This preview link has no secret or token. Open the preview from Contentful, or ask for a new preview link.';
+  const [expires, sig] = String(token).split('.');
+  if (!/^\d+$/.test(expires || '') || !sig || !safeEqual(sig, signature(previewSecret, type, key, expires))) {
+    return 'Invalid preview token. It may belong to another entry; ask for a new preview link.';
+  }
+  if (Number(expires) * 1000 < now) return 'This preview link has expired. Ask for a new preview link.';
+  return null;
+}
+
+module.exports = {
+  signPreviewToken,
+  checkPreviewAuth,
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const args = process.argv.slice(2);
+  const flag = (name) => args.includes(name);
+  const option = (name, fallback) => {
+    const i = args.indexOf(name);
+    return i >= 0 && args[i + 1] ? args[i + 1] : fallback;
+  };
+  const key = args.find((a, i) => !a.startsWith('--') && !['--type', '--hours'].includes(args[i - 1]));
+  const secret = process.env.PREVIEW_SECRET;
+  if (!key || !secret) {
+    console.error('Usage: PREVIEW_SECRET=… npm run sign-link -- <slug|entry id> [--type blog|case-study] [--id] [--hours 72]');
+    process.exit(1);
+  }
+  const type = option('--type', 'blog');
+  const hours = Number(option('--hours', DEFAULT_TOKEN_HOURS));
+  const expires = Math.floor(Date.now() / 1000 + hours * 3600);
+  const token = signPreviewToken({ type, key, expires }, secret);
+  const page = type === 'case-study' ? 'case-study-preview' : 'blog-preview';
+  const site = (process.env.PREVIEW_SITE_URL || 'https://www.theseopilot.pro').replace(/\/$/, '');
+  const q = new URLSearchParams({ [flag('--id') ? 'id' : 'slug']: key, token });
+  console.log(`${site}/${page}?${q}`);
+  console.log(`Expires ${new Date(expires * 1000).toISOString()}`);
+}
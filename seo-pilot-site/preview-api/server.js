@@ -1,75 +1,216 @@
 /**
- * Contentful Preview API proxy for blog preview.
- * Architecture: Page – Blog Post (content blocks, SEO reference).
+ * Contentful Preview API proxy for blog and case study previews.
+ * Architecture: Page – Blog Post and Page – Case Study, rendered with scripts/post-view.js and
+ * scripts/case-study-view.js like the generator does.
  *
- * Env: CONTENTFUL_SPACE_ID, CONTENTFUL_PREVIEW_TOKEN
- * GET /api/preview?slug=xxx  or  ?id=xxx
+ * Env: CONTENTFUL_SPACE_ID, CONTENTFUL_PREVIEW_TOKEN, PREVIEW_SECRET; optional PREVIEW_ALLOWED_ORIGINS,
+ *   PREVIEW_CACHE_TTL (seconds, default 10), PREVIEW_MAX_RETRIES
+ * Every preview request needs ?secret= or a signed ?token= (see preview-auth.js), else 401.
+ * Entries are cached for PREVIEW_CACHE_TTL; &refresh=1 fetches them again.
+ * GET /api/preview?slug=xxx  or  ?id=xxx  (optional &locale=de-DE; defaults to the space default locale)
+ *   &type=blog (default) → { post }, &type=case-study → { caseStudy }; see PAGE_TYPES
+ * GET /preview/blog/:slug, /preview/case-study/:slug  (optional ?locale=de-DE; ?id=xxx selects the entry
+ *   by id, as for a link signed with --id): the full page the generator would write, with a
+ *   "Preview" banner and noindex. /style.css, /script.js and /assets/* are served from the site root.
  */
 
 require('dotenv').config();
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
+// Rendering is shared with the static generator (scripts/), so previews match the published pages
+const { defaultLocale, localizeResponse, hasLocaleContent, escapeHtml } = require('../scripts/contentful-helpers');
+const { BASE } = require('../scripts/page-layout');
 const {
-  unwrap,
-  resolveEntry,
-  getSeo,
-  getAuthor,
-  getFeaturedImageUrl,
-  formatPublishedDate,
-  richTextToHtml,
-  escapeHtml,
-  escapeAttr,
-  renderContentBlocks,
-} = require('./contentful-helpers');
+  contentFieldIds,
+  blogPostPath,
+  blogTopics,
+  hreflangAlternates,
+  buildPostView,
+  postPageHtml,
+  postJson,
+} = require('../scripts/post-view');
+const { caseStudyPath, buildCaseStudyView, caseStudyPageHtml, caseStudyJson } = require('../scripts/case-study-view');
+const { checkPreviewAuth } = require('./preview-auth');
+const { fetchWithRetry, createCache } = require('./contentful-fetch');
 
 const app = express();
 const PORT = process.env.PORT || 3456;
 
 const SPACE = process.env.CONTENTFUL_SPACE_ID;
 const TOKEN = process.env.CONTENTFUL_PREVIEW_TOKEN;
-const BLOG_CT = process.env.CONTENTFUL_BLOG_CONTENT_TYPE || 'pageBlogPost';
+const PREVIEW_SECRET = process.env.PREVIEW_SECRET;
+const NOT_CONFIGURED = 'Preview API not configured (CONTENTFUL_SPACE_ID / CONTENTFUL_PREVIEW_TOKEN / PREVIEW_SECRET).';
 const PREVIEW_BASE = 'https://preview.contentful.com';
+const SITE_ROOT = path.resolve(__dirname, '..');
 
-const ALLOW_ORIGINS = [
-  'https://theseopilot.pro',
-  'https://www.theseopilot.pro',
-  'http://localhost:8000',
-  'http://localhost:5500',
-  'http://127.0.0.1:8000',
-  'http://127.0.0.1:5500',
-];
+/** Preview entries and tags, kept briefly so quick reloads do not run into Contentful's rate limit. */
+const cache = createCache({ ttlMs: Number(process.env.PREVIEW_CACHE_TTL ?? 10) * 1000 });
+/** Space locales rarely change: they are kept longer than entries. */
+const LOCALES_TTL_MS = 10 * 60 * 1000;
 
-app.use(cors({
-  origin: (o, cb) => {
-    if (!o || ALLOW_ORIGINS.some((a) => a === o)) return cb(null, true);
-    if (o.startsWith('http://localhost:') || o.startsWith('http://127.0.0.1:')) return cb(null, true);
-    cb(null, false);
+/**
+ * Page content types that can be previewed (?type=, or the content type ID itself): the entry is
+ * returned as `key`, rendered by `json`. Another page type needs a view module like post-view.js
+ * and an entry here.
+ */
+const PAGE_TYPES = {
+  blog: {
+    contentType: process.env.CONTENTFUL_BLOG_CONTENT_TYPE || 'pageBlogPost',
+    key: 'post',
+    json: (entry, includes, items, locale) => postJson(buildPostView(entry, includes, items), locale),
   },
+  'case-study': {
+    contentType: process.env.CONTENTFUL_CASE_STUDY_CONTENT_TYPE || 'caseStudyPage',
+    key: 'caseStudy',
+    json: (entry, includes, items, locale) => ({ ...caseStudyJson(buildCaseStudyView(entry, includes, items)), locale }),
+  },
+};
+
+/** { name, contentType, key, json } for ?type= (name or content type ID), or null. */
+function pageType(type) {
+  const name = PAGE_TYPES[type] ? type : Object.keys(PAGE_TYPES).find((k) => PAGE_TYPES[k].contentType === type);
+  return name ? { name, ...PAGE_TYPES[name] } : null;
+}
+
+/**
+ * Origins allowed to call the API from a browser (comma-separated; "http://localhost:*" allows any port).
+ * Requests still need a preview secret or token: CORS only restricts browsers.
+ */
+const ALLOWED_ORIGINS = (process.env.PREVIEW_ALLOWED_ORIGINS || 'https://theseopilot.pro,https://www.theseopilot.pro')
+  .split(',')
+  .map((s) => s.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
+function originAllowed(origin) {
+  return ALLOWED_ORIGINS.some((a) => (a.endsWith(':*') ? origin.startsWith(a.slice(0, -1)) && /^\d+$/.test(origin.slice(a.length - 1)) : a === origin));
+}
+
+app.use(cors({
+  origin: (o, cb) => cb(null, !o || originAllowed(o)),
 }));
 app.use(express.json());
 
-function resolveAuthorRef(entry, includes, items = []) {
-  const f = entry.fields || {};
-  const ref = unwrap(f.author);
-  const id = ref && ref.sys && ref.sys.id;
-  return id ? resolveEntry(id, includes, items) : null;
+// Stylesheet, script and images of full-page previews, at the same paths as on the site
+app.use('/assets', express.static(path.join(SITE_ROOT, 'assets')));
+app.get(['/style.css', '/script.js'], (req, res) => res.sendFile(path.join(SITE_ROOT, req.path)));
+
+/** Space locales from the Preview API (cached for LOCALES_TTL_MS). */
+function fetchLocales() {
+  return cache.get('locales', async () => {
+    const r = await fetchWithRetry(`${PREVIEW_BASE}/spaces/${SPACE}/environments/master/locales`, {
+      headers: { Authorization: `Bearer ${TOKEN}` },
+    });
+    if (!r.ok) throw new Error(`Contentful Preview API error: ${r.status} (locales)`);
+    return (await r.json()).items || [];
+  }, { ttlMs: LOCALES_TTL_MS });
+}
+
+/** Contentful tag names by id (post topics); {} if the endpoint fails. */
+async function fetchTags({ refresh } = {}) {
+  try {
+    return await cache.get('tags', async () => {
+      const r = await fetchWithRetry(`${PREVIEW_BASE}/spaces/${SPACE}/environments/master/tags?limit=1000`, {
+        headers: { Authorization: `Bearer ${TOKEN}` },
+      });
+      if (!r.ok) throw new Error(`Contentful Preview API error: ${r.status} (tags)`);
+      return Object.fromEntries(((await r.json()).items || []).map((t) => [t.sys.id, t.name]));
+    }, { refresh });
+  } catch (_) {
+    return {};
+  }
+}
+
+/** Error with the HTTP status (and upstream details) to respond with. */
+function previewError(status, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+}
+
+/**
+ * Fetch one entry (all locales) from the Preview API and localize it. Results are cached per content
+ * type, slug or id and locale; concurrent identical requests share one upstream fetch.
+ * @param {{ contentType: string, slug?: string, id?: string, locale?: string }} query - locale defaults to the space default
+ * @param {{ refresh?: boolean }} [opts] - refresh: bypass the cache
+ * @returns {Promise<{ entry: object, raw: object, includes: object, items: object[], locale: string, locales: object[] }>}
+ * @throws Error with `status` (400 unknown locale, 404 not found, 429 rate limited (with `retryAfter`
+ *   seconds), upstream status on API errors)
+ */
+function fetchPreviewEntry(query, { refresh } = {}) {
+  const key = [query.contentType, query.id ? `id:${query.id}` : `slug:${query.slug}`, query.locale || ''].join('|');
+  return cache.get(key, () => loadPreviewEntry(query), { refresh });
+}
+
+async function loadPreviewEntry({ contentType, slug, id, locale: requestedLocale }) {
+  // Locales are cached for the process lifetime: an unknown locale costs no entry request
+  const locales = await fetchLocales();
+  const locale = requestedLocale || defaultLocale(locales);
+  if (requestedLocale && !locales.some((l) => l.code === requestedLocale)) {
+    throw previewError(400, `Unknown locale. Available: ${locales.map((l) => l.code).join(', ')}`);
+  }
+
+  const q = new URLSearchParams({
+    content_type: contentType,
+    limit: '1',
+    include: '10',
+    locale: '*',
+  });
+  if (id) {
+    q.set('sys.id', id);
+  } else {
+    q.set('fields.slug', slug);
+  }
+  const url = `${PREVIEW_BASE}/spaces/${SPACE}/environments/master/entries?${q}`;
+
+  const r = await fetchWithRetry(url, {
+    headers: { Authorization: `Bearer ${TOKEN}` },
+  });
+
+  if (r.status === 429) {
+    const retryAfter = Number(r.headers.get('x-contentful-ratelimit-reset')) || 1;
+    const err = previewError(429, `Contentful rate limit reached. Try again in ${retryAfter} s.`);
+    err.retryAfter = retryAfter;
+    throw err;
+  }
+  if (!r.ok) {
+    const text = await r.text();
+    throw previewError(r.status, `Contentful Preview API error: ${r.status}`, text.slice(0, 500));
+  }
+
+  const rawData = await r.json();
+  const data = localizeResponse(rawData, locale, locales);
+  const items = data.items || [];
+  const entry = items[0] || null;
+
+  if (!entry || !entry.fields) {
+    throw previewError(404, 'Entry not found');
+  }
+
+  return { entry, raw: (rawData.items || [])[0], includes: data.includes || {}, items, locale, locales };
 }
 
-function resolveSeoRef(entry, includes, items = []) {
-  const f = entry.fields || {};
-  const ref = unwrap(f.seoFields) || unwrap(f.seo);
-  const id = ref && ref.sys && ref.sys.id;
-  return id ? resolveEntry(id, includes, items) : null;
+/** ?refresh=1: skip the cache (e.g. right after editing). */
+function wantsRefresh(req) {
+  return !!req.query.refresh && req.query.refresh !== '0';
+}
+
+/** Why the request may not see drafts of this entry (401 message), or null. */
+function previewAuthError(req, type, key) {
+  return checkPreviewAuth({ secret: req.query.secret, token: req.query.token }, { type, key }, PREVIEW_SECRET);
 }
 
 app.get('/api/preview', async (req, res) => {
   const slug = (req.query.slug || '').trim();
   const id = (req.query.id || '').trim();
+  const locale = (req.query.locale || '').trim();
+  const type = pageType((req.query.type || 'blog').trim());
 
-  if (!SPACE || !TOKEN) {
+  if (!SPACE || !TOKEN || !PREVIEW_SECRET) {
     return res.status(500).json({
       ok: false,
-      error: 'Preview API not configured (CONTENTFUL_SPACE_ID / CONTENTFUL_PREVIEW_TOKEN).',
+      error: NOT_CONFIGURED,
     });
   }
 
@@ -80,126 +221,130 @@ app.get('/api/preview', async (req, res) => {
     });
   }
 
-  try {
-    const q = new URLSearchParams({
-      content_type: BLOG_CT,
-      limit: '1',
-      include: '10',
-      locale: '*',
+  if (!type) {
+    return res.status(400).json({
+      ok: false,
+      error: `Unknown type. Available: ${Object.keys(PAGE_TYPES).join(', ')}`,
     });
-    if (id) {
-      q.set('sys.id', id);
-    } else {
-      q.set('fields.slug', slug);
-    }
-    const url = `${PREVIEW_BASE}/spaces/${SPACE}/environments/master/entries?${q}`;
+  }
 
-    const r = await fetch(url, {
-      headers: { Authorization: `Bearer ${TOKEN}` },
+  const denied = previewAuthError(req, type.name, id || slug);
+  if (denied) {
+    return res.status(401).json({
+      ok: false,
+      error: denied,
     });
+  }
 
-    if (!r.ok) {
-      const text = await r.text();
-      return res.status(r.status).json({
-        ok: false,
-        error: `Contentful Preview API error: ${r.status}`,
-        details: text.slice(0, 500),
-      });
-    }
+  try {
+    const { entry, includes, items, locale: entryLocale } = await fetchPreviewEntry(
+      { contentType: type.contentType, slug, id, locale },
+      { refresh: wantsRefresh(req) }
+    );
 
-    const data = await r.json();
-    const items = data.items || [];
-    const entry = items[0] || null;
-    const includes = data.includes || {};
+    return res.json({ ok: true, [type.key]: type.json(entry, includes, items, entryLocale) });
+  } catch (e) {
+    if (!e.status) console.error('Preview API error:', e);
+    if (e.retryAfter) res.set('Retry-After', String(e.retryAfter));
+    return res.status(e.status || 500).json({
+      ok: false,
+      error: e.message || 'Preview fetch failed',
+      ...(e.details && { details: e.details }),
+    });
+  }
+});
 
-    if (!entry || !entry.fields) {
-      return res.status(404).json({
-        ok: false,
-        error: 'Entry not found',
-      });
-    }
+/** Minimal page for a full-page preview that could not be rendered. */
+function previewErrorPage(message) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="robots" content="noindex, nofollow" />
+  <title>Preview unavailable | TheSEOPilot</title>
+  <link rel="stylesheet" href="/style.css" />
+</head>
+<body>
+  <main class="container blog-post-container">
+    <h1 class="blog-post-title">Preview unavailable</h1>
+    <p>${escapeHtml(message)}</p>
+  </main>
+</body>
+</html>`;
+}
 
-    const f = entry.fields;
-    const title = unwrap(f.title) || 'Untitled';
-    const subtitle = unwrap(f.subtitle) || '';
-    const contentFieldIds = (process.env.CONTENTFUL_CONTENT_FIELD || 'content,body,mainContent,main_content').split(',').map((s) => s.trim()).filter(Boolean);
-    let contentRich = null;
-    for (const fid of contentFieldIds) {
-      const val = unwrap(f[fid]);
-      if (val && typeof val === 'object' && (val.nodeType === 'document' || Array.isArray(val.content))) {
-        contentRich = val;
-        break;
-      }
-    }
-    const bodyRichText = contentRich && contentRich.content ? richTextToHtml(contentRich, includes, items) : '';
-
-    // Render content blocks from contentBlocks reference field
-    const contentBlocksFieldIds = (process.env.CONTENTFUL_CONTENT_BLOCKS_FIELD || 'contentBlocks,content_blocks,blocks').split(',').map((s) => s.trim()).filter(Boolean);
-    let contentBlocksRefs = null;
-    for (const fid of contentBlocksFieldIds) {
-      const val = unwrap(f[fid]);
-      if (Array.isArray(val) && val.length > 0) {
-        contentBlocksRefs = val;
-        break;
-      }
-    }
-    const contentBlocksHtml = contentBlocksRefs ? renderContentBlocks(contentBlocksRefs, includes, items) : '';
-
-    // Combine: rich text content first, then content blocks
-    const body = [bodyRichText, contentBlocksHtml].filter(Boolean).join('\n');
-
-    const faqsFieldIds = (process.env.CONTENTFUL_FAQS_FIELD || 'faqs').split(',').map((s) => s.trim()).filter(Boolean);
-    let faqsRich = null;
-    for (const fid of faqsFieldIds) {
-      const val = unwrap(f[fid]);
-      if (val && val.content && Array.isArray(val.content) && val.content.length > 0) {
-        faqsRich = val;
-        break;
-      }
+/** Entry of a full-page route: ?id= if given (links signed for an entry id), else the :slug in the path. */
+function fullPageEntry(req) {
+  const id = (req.query.id || '').trim();
+  return id ? { id } : { slug: req.params.slug };
+}
+
+/** Middleware of the full-page routes (/preview/{type}/:slug): configuration and credentials. */
+function fullPageAccess(type) {
+  return (req, res, next) => {
+    res.set('X-Robots-Tag', 'noindex, nofollow');
+    // The URL carries the preview secret or token: don't pass it on to linked sites
+    res.set('Referrer-Policy', 'no-referrer');
+    if (!SPACE || !TOKEN || !PREVIEW_SECRET) {
+      return res.status(500).type('html').send(previewErrorPage(NOT_CONFIGURED));
     }
-    const faqsHtml = faqsRich && faqsRich.content && faqsRich.content.length
-      ? `<section class="blog-faqs" aria-labelledby="faqs-heading"><h2 id="faqs-heading" class="faqs-heading">Frequently Asked Questions</h2><div class="faq-content blog-content">${richTextToHtml(faqsRich, includes, items)}</div></section>`
-      : '';
-
-    const featuredImageUrl = getFeaturedImageUrl(entry, includes);
-    const featuredImageAbsolute = featuredImageUrl ? (featuredImageUrl.startsWith('//') ? 'https:' + featuredImageUrl : featuredImageUrl) : '';
-
-    const publishedDateRaw = unwrap(f.publishedDate) || '';
-    const publishedDateFormatted = formatPublishedDate(publishedDateRaw);
-
-    const seoEntry = resolveSeoRef(entry, includes, items);
-    const seo = getSeo(seoEntry);
-    const seoTitle = seo.pageTitle || title;
-    const seoDescription = seo.pageDescription || subtitle;
-
-    const authorEntry = resolveAuthorRef(entry, includes, items);
-    const author = getAuthor(authorEntry, includes);
-    const authorHtml = author
-      ? `<div class="blog-author"><div class="blog-author-inner">${author.avatarUrl ? `<img src="${escapeAttr(author.avatarUrl)}" alt="" class="blog-author-avatar" loading="lazy" />` : ''}<div><span class="blog-author-name">${escapeHtml(author.name)}</span>${author.roleCompany ? `<span class="blog-author-role">${escapeHtml(author.roleCompany)}</span>` : ''}${author.bio ? `<p class="blog-author-bio">${escapeHtml(author.bio)}</p>` : ''}</div></div></div>`
-      : '';
-
-    const post = {
-      id: entry.sys?.id,
-      title,
-      slug: unwrap(f.slug) || entry.sys?.id,
-      excerpt: subtitle,
-      body: body || '',
-      seoTitle,
-      seoDescription,
-      publishDate: publishedDateRaw,
-      publishedDateFormatted,
-      featuredImageUrl: featuredImageAbsolute,
-      faqsHtml: faqsHtml || '',
-      authorHtml: authorHtml || '',
-    };
-
-    return res.json({ ok: true, post });
+    const { id, slug } = fullPageEntry(req);
+    const denied = previewAuthError(req, type, id || slug);
+    if (denied) return res.status(401).type('html').send(previewErrorPage(denied));
+    next();
+  };
+}
+
+app.get('/preview/blog/:slug', fullPageAccess('blog'), async (req, res) => {
+  try {
+    const { entry, raw, includes, items, locale, locales } = await fetchPreviewEntry({
+      contentType: PAGE_TYPES.blog.contentType,
+      ...fullPageEntry(req),
+      locale: (req.query.locale || '').trim(),
+    }, { refresh: wantsRefresh(req) });
+    const defLocale = defaultLocale(locales);
+    const view = buildPostView(entry, includes, items);
+    const urlPath = blogPostPath(view.slug, locale, locale === defLocale);
+    // Same locale pages as the generator: the default locale plus locales with their own title or content
+    const localeUrls = locales
+      .filter((l) => l.code === defLocale || hasLocaleContent(raw, l.code, ['title', ...contentFieldIds()]))
+      .map((l) => ({ hreflang: l.code, href: BASE + blogPostPath(view.slug, l.code, l.code === defLocale) }));
+
+    const html = postPageHtml(view, {
+      locale,
+      canonical: view.seo.canonicalUrl || BASE + urlPath,
+      // Posts without a featured or share image get a generated card, which drafts don't have yet
+      ogImageUrl: view.featuredImageUrl || view.shareImageUrl,
+      alternates: hreflangAlternates(localeUrls, defLocale),
+      topics: blogTopics(entry, await fetchTags({ refresh: wantsRefresh(req) })),
+      preview: true,
+    });
+    return res.type('html').send(html);
   } catch (e) {
-    console.error('Preview API error:', e);
-    return res.status(500).json({
-      ok: false,
-      error: e.message || 'Preview fetch failed',
+    if (!e.status) console.error('Preview API error:', e);
+    if (e.retryAfter) res.set('Retry-After', String(e.retryAfter));
+    return res.status(e.status || 500).type('html').send(previewErrorPage(e.message || 'Preview fetch failed'));
+  }
+});
+
+app.get('/preview/case-study/:slug', fullPageAccess('case-study'), async (req, res) => {
+  try {
+    const { entry, includes, items, locale } = await fetchPreviewEntry({
+      contentType: PAGE_TYPES['case-study'].contentType,
+      ...fullPageEntry(req),
+      locale: (req.query.locale || '').trim(),
+    }, { refresh: wantsRefresh(req) });
+    const view = buildCaseStudyView(entry, includes, items);
+    const html = caseStudyPageHtml(view, {
+      canonical: view.seo.canonicalUrl || BASE + caseStudyPath(view.slug),
+      locale,
+      preview: true,
     });
+    return res.type('html').send(html);
+  } catch (e) {
+    if (!e.status) console.error('Preview API error:', e);
+    if (e.retryAfter) res.set('Retry-After', String(e.retryAfter));
+    return res.status(e.status || 500).type('html').send(previewErrorPage(e.message || 'Preview fetch failed'));
   }
 });
 
@@ -0,0 +1,157 @@
+/**
+ * Build manifest for incremental generation.
+ * Maps each generated file to the Contentful entries/assets it was rendered from
+ * ({ id: "revision@updatedAt" }), so unchanged pages are skipped and pages whose
+ * entries were deleted or unpublished are removed.
+ *
+ * Stored in .generate-cache/manifest.json (git-ignored). A change to the generator code,
+ * locales or content model env vars (the fingerprint) forces a full rebuild.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { resolveEntry, resolveAsset } = require('./contentful-helpers');
+
+const MANIFEST_VERSION = 1;
+
+function sha1(s) {
+  return crypto.createHash('sha1').update(s).digest('hex');
+}
+
+/** Version string for an entry or asset: changes whenever it is republished. */
+function entryVersion(e) {
+  const sys = (e && e.sys) || {};
+  return `${sys.revision != null ? sys.revision : sys.publishedVersion || ''}@${sys.updatedAt || ''}`;
+}
+
+/**
+ * Every entry/asset a page depends on: the entry itself plus everything reachable through
+ * links (SEO, author, CTA and rich content blocks, result blocks, embedded/featured assets).
+ * @returns {Object<string, string>} id → version
+ */
+function collectDependencies(entries, includes, items = []) {
+  const deps = {};
+  const visit = (val) => {
+    if (val == null || typeof val !== 'object') return;
+    if (Array.isArray(val)) {
+      val.forEach(visit);
+      return;
+    }
+    const sys = val.sys;
+    if (sys && sys.type === 'Link' && sys.id) {
+      if (deps[sys.id]) return;
+      const target = sys.linkType === 'Asset' ? resolveAsset(sys.id, includes) : resolveEntry(sys.id, includes, items);
+      // Unresolvable links (unpublished targets) still count: publishing them must rebuild the page
+      deps[sys.id] = target ? entryVersion(target) : 'missing';
+      if (target) visit(target.fields);
+      return;
+    }
+    Object.values(val).forEach(visit);
+  };
+  for (const e of [].concat(entries)) {
+    if (!e || !e.sys) continue;
+    deps[e.sys.id] = entryVersion(e);
+    visit(e.fields);
+  }
+  return deps;
+}
+
+function sameDeps(a, b) {
+  if (!a || !b) return false;
+  const ka = Object.keys(a);
+  return ka.length === Object.keys(b).length && ka.every((k) => a[k] === b[k]);
+}
+
+/**
+ * Load the manifest and return the build session used by the generator.
+ * @param {string} root - Site root (output paths are stored relative to it)
+ * @param {string} fingerprint - Generator/config fingerprint; a mismatch discards the manifest
+ * @param {{ full?: boolean }} opts - full: ignore the manifest and rewrite everything
+ */
+function loadManifest(root, fingerprint, opts = {}) {
+  const file = path.join(root, '.generate-cache', 'manifest.json');
+  let previous = { files: {} };
+  if (!opts.full) {
+    try {
+      const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (json.version === MANIFEST_VERSION && json.fingerprint === fingerprint) previous = json;
+    } catch (_) {}
+  }
+  const files = {};
+  const stats = { written: 0, unchanged: 0, removed: 0 };
+
+  const rel = (filePath) => path.relative(root, filePath).split(path.sep).join('/');
+
+  return {
+    stats,
+
+    /**
+     * Record filePath and write it unless it was last rendered from exactly the same dependencies.
+     * Without deps (outputs such as sitemap.xml), the content hash decides.
+     */
+    write(filePath, content, deps) {
+      const key = rel(filePath);
+      const hash = sha1(content);
+      const prev = previous.files[key];
+      files[key] = deps ? { deps, hash } : { hash };
+      const unchanged = prev && (deps ? sameDeps(prev.deps, deps) : prev.hash === hash);
+      if (unchanged && fs.existsSync(filePath)) {
+        stats.unchanged++;
+        return false;
+      }
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content, 'utf8');
+      stats.written++;
+      return true;
+    },
+
+    /**
+     * Record filePath without rendering it again if it was last rendered from exactly the same
+     * dependencies and is still on disk (for outputs that are costly to render, e.g. OG cards).
+     * @returns {boolean} false when the file has to be rendered and written
+     */
+    keep(filePath, deps) {
+      const key = rel(filePath);
+      const prev = previous.files[key];
+      if (!prev || !prev.deps || !sameDeps(prev.deps, deps) || !fs.existsSync(filePath)) return false;
+      files[key] = prev;
+      stats.unchanged++;
+      return true;
+    },
+
+    /** Delete files generated last run but not this run (entry deleted, unpublished or slug changed). */
+    removeStale() {
+      for (const key of Object.keys(previous.files)) {
+        if (files[key]) continue;
+        const filePath = path.join(root, key);
+        try {
+          fs.unlinkSync(filePath);
+          stats.removed++;
+        } catch (_) {
+          continue;
+        }
+        // Prune directories left empty (e.g. resources/blog/{slug}/)
+        for (let dir = path.dirname(filePath); dir.startsWith(root + path.sep); dir = path.dirname(dir)) {
+          try {
+            fs.rmdirSync(dir);
+          } catch (_) {
+            break;
+          }
+        }
+      }
+    },
+
+    save() {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ version: MANIFEST_VERSION, fingerprint, files }, null, 2), 'utf8');
+    },
+  };
+}
+
+module.exports = {
+  sha1,
+  entryVersion,
+  collectDependencies,
+  loadManifest,
+};
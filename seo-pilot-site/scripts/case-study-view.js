@@ -0,0 +1,189 @@
+/**
+ * Case study view model and page: a localized Page – Case Study entry (challenge, strategy rich
+ * text, result blocks, SEO reference) rendered for resources/case-studies/{slug}/.
+ *
+ * Used by the generator (generateCaseStudies) and the Preview API, like post-view.js for posts.
+ */
+
+const {
+  unwrap,
+  resolveSeoRef,
+  getSeo,
+  getFeaturedImageUrl,
+  getFeaturedImage,
+  responsiveImageHtml,
+  richTextToHtml,
+  buildResultsFromResultBlocks,
+  getResultMetrics,
+  escapeHtml,
+  escapeAttr,
+} = require('./contentful-helpers');
+const { BASE, header, footer, gtmHead, gtmBody, baseHead, previewBanner } = require('./page-layout');
+
+/** URL path of a case study page. */
+function caseStudyPath(slug) {
+  return `/resources/case-studies/${encodeURIComponent(slug)}/`;
+}
+
+/**
+ * Render a case study.
+ * @param {object} entry - Localized Page – Case Study entry (see localizeResponse)
+ * @param {object} [includes] - Response includes ({ Entry: [], Asset: [] })
+ * @param {object[]} [items] - Other entries of the response (for links between entries)
+ * @returns {object} View model: clientName, challenge, strategy (rich text), strategyHtml, resultsHtml,
+ *   results (metrics), featuredImageHtml, SEO fields, …
+ */
+function buildCaseStudyView(entry, includes = {}, items = []) {
+  const f = entry.fields || {};
+  const clientName = unwrap(f.clientName) || 'Case Study';
+  const challenge = unwrap(f.challenge) || '';
+  const strategy = unwrap(f.strategy);
+  const resultsBlocks = unwrap(f.resultsBlocks) || [];
+
+  let strategyHtml = '';
+  if (strategy) {
+    if (typeof strategy === 'object' && strategy.content) {
+      strategyHtml = richTextToHtml(strategy, includes, items);
+    } else {
+      strategyHtml = escapeHtml(String(strategy));
+    }
+  }
+
+  const seo = getSeo(resolveSeoRef(entry, includes, items), includes);
+
+  return {
+    id: entry.sys?.id || '',
+    slug: unwrap(f.slug) || entry.sys?.id || '',
+    clientName,
+    industry: unwrap(f.industry) || '',
+    timeframe: unwrap(f.timeframe) || '',
+    challenge,
+    strategy,
+    strategyHtml,
+    resultsHtml: buildResultsFromResultBlocks(resultsBlocks, includes, items) || '',
+    results: getResultMetrics(resultsBlocks, includes, items),
+    keyMetrics: unwrap(f.keyMetrics) || null,
+    featuredImageUrl: getFeaturedImageUrl(entry, includes),
+    featuredImageHtml: responsiveImageHtml(getFeaturedImage(entry, includes), { alt: clientName, loading: 'eager' }),
+    seo,
+    seoTitle: seo.pageTitle || clientName,
+    seoDescription: seo.pageDescription || (challenge ? challenge.replace(/<[^>]+>/g, '').slice(0, 160) + '…' : ''),
+    shareImageUrl: (seo.shareImages && seo.shareImages[0]) || '',
+    publishDate: unwrap(f.publishedDate) || '',
+    updatedAt: entry.sys?.updatedAt || '',
+  };
+}
+
+/** Article + BreadcrumbList JSON-LD: the engagement as an Article about the client; Result Block metrics as PropertyValues. */
+function caseStudySchema(view, { canonical }) {
+  const { clientName, industry, timeframe } = view;
+  const metrics = view.results.filter((r) => r.metricLabel && r.metricValue);
+  const schemaImage = view.shareImageUrl || view.featuredImageUrl;
+  return {
+    '@context': 'https://schema.org',
+    '@graph': [
+      {
+        '@type': 'Article',
+        headline: view.seoTitle,
+        name: `${clientName} case study`,
+        description: view.seoDescription,
+        url: canonical,
+        ...(view.publishDate && { datePublished: view.publishDate }),
+        ...(view.updatedAt && { dateModified: view.updatedAt }),
+        author: { '@type': 'Organization', name: 'TheSEOPilot', url: BASE + '/' },
+        publisher: { '@type': 'Organization', name: 'TheSEOPilot', logo: { '@type': 'ImageObject', url: BASE + '/assets/img/logo-footer.webp' } },
+        about: { '@type': 'Organization', name: clientName, ...(industry && { description: industry }) },
+        ...(industry && { keywords: industry }),
+        ...(timeframe && { temporalCoverage: timeframe }),
+        ...(schemaImage && { image: schemaImage }),
+        ...(metrics.length && {
+          mentions: metrics.map((r) => ({
+            '@type': 'PropertyValue',
+            name: r.metricLabel,
+            value: r.metricValue,
+            ...(r.description && { description: r.description }),
+            ...(r.graphImageUrl && { image: r.graphImageUrl.startsWith('//') ? 'https:' + r.graphImageUrl : r.graphImageUrl }),
+          })),
+        }),
+      },
+      {
+        '@type': 'BreadcrumbList',
+        itemListElement: [
+          { '@type': 'ListItem', position: 1, name: 'Home', item: BASE + '/' },
+          { '@type': 'ListItem', position: 2, name: 'Resources', item: BASE + '/resources/' },
+          { '@type': 'ListItem', position: 3, name: 'Case Studies', item: BASE + '/resources/case-studies/' },
+          { '@type': 'ListItem', position: 4, name: clientName, item: canonical },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * The case study page (resources/case-studies/{slug}/index.html).
+ * @param {object} view - buildCaseStudyView() result
+ * @param {{ canonical: string, locale?: string, preview?: boolean }} opts - locale: the page's lang;
+ *   preview: preview banner, always noindex/nofollow, no GTM (see postPageHtml)
+ */
+function caseStudyPageHtml(view, { canonical, locale, preview = false }) {
+  const { clientName, seo } = view;
+  const csHeadOpts = {};
+  if (view.shareImageUrl) csHeadOpts.ogImage = view.shareImageUrl;
+  if (seo.noindex || preview) csHeadOpts.noindex = true;
+  if (seo.nofollow || preview) csHeadOpts.nofollow = true;
+  csHeadOpts.schemaJson = caseStudySchema(view, { canonical });
+
+  return `<!DOCTYPE html>
+<html lang="${escapeAttr(locale || 'en')}">
+<head>
+${preview ? '' : gtmHead() + '\n'}${baseHead(view.seoTitle + ' | TheSEOPilot', view.seoDescription, canonical, csHeadOpts)}
+</head>
+<body>
+${preview ? '' : gtmBody() + '\n'}${header()}${preview ? '\n' + previewBanner() : ''}
+  <main class="case-study-page">
+    <nav class="breadcrumb" aria-label="Breadcrumb">
+      <a href="/">Home</a> / <a href="/resources/">Resources</a> / <a href="/resources/case-studies/">Case Studies</a> / ${escapeHtml(clientName)}
+    </nav>
+    <div class="container" style="padding-top:1rem;">
+      <h1 style="margin-bottom:1rem;">${escapeHtml(clientName)}</h1>
+      ${view.featuredImageHtml ? `<figure class="case-study-featured-image">${view.featuredImageHtml}</figure>` : ''}
+      <section><h2>The Challenge</h2><div class="legal-page"><p>${escapeHtml(view.challenge)}</p></div></section>
+      <section><h2>The Strategy</h2><div class="legal-page">${view.strategyHtml}</div></section>
+      <section><h2>The Results</h2><div class="legal-page">${view.resultsHtml}</div></section>
+    </div>
+  </main>
+${footer()}
+</body>
+</html>`;
+}
+
+/**
+ * The case study as JSON: the Preview API `caseStudy` object and the base of the generated
+ * resources/case-studies/{slug}/index.json.
+ */
+function caseStudyJson(view) {
+  return {
+    id: view.id,
+    slug: view.slug,
+    clientName: view.clientName,
+    industry: view.industry,
+    timeframe: view.timeframe,
+    challenge: view.challenge,
+    strategyHtml: view.strategyHtml,
+    resultsHtml: view.resultsHtml,
+    results: view.results,
+    keyMetrics: view.keyMetrics,
+    featuredImageUrl: view.featuredImageUrl,
+    featuredImageHtml: view.featuredImageHtml,
+    seoTitle: view.seoTitle,
+    seoDescription: view.seoDescription,
+    noindex: !!view.seo.noindex,
+  };
+}
+
+module.exports = {
+  caseStudyPath,
+  buildCaseStudyView,
+  caseStudyPageHtml,
+  caseStudyJson,
+};
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+/**
+ * Internal link checker for the built site (run after npm run generate).
+ * Run: npm run check:links
+ *
+ * Reads every HTML page from disk and resolves each internal href/src/srcset against the
+ * output directory and the _redirects rules (Netlify syntax: exact paths, * / :splat and
+ * :placeholders). Reports:
+ *   - broken links (no file and no redirect → 404)
+ *   - links through redirects, flagged as chains when more than one hop
+ *   - CTA blocks whose button fell back to "#", with the Contentful entry ID responsible
+ * Exits 1 when there are broken links or CTA fallbacks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listSiteFiles, listHtmlFiles, urlPathFor } = require('./site-files');
+
+const SITE_HOSTS = new Set(['theseopilot.pro', 'www.theseopilot.pro']);
+const MAX_HOPS = 10;
+
+/**
+ * Parse _redirects into rules. Host-qualified rules (e.g. www → apex) are kept with their
+ * host so they only apply to absolute links on that host.
+ * @returns {{ host: string, re: RegExp, names: string[], to: string, status: number }[]}
+ */
+function parseRedirects(text) {
+  const rules = [];
+  for (const line of String(text || '').split('\n')) {
+    const parts = line.replace(/#.*$/, '').trim().split(/\s+/);
+    if (parts.length < 2 || !parts[0]) continue;
+    let from = parts[0];
+    let host = '';
+    const abs = from.match(/^https?:\/\/([^/]+)(\/.*)?$/);
+    if (abs) {
+      host = abs[1];
+      from = abs[2] || '/';
+    }
+    const names = [];
+    const pattern = from
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\/\*$/, () => {
+        names.push('splat');
+        return '(?:/(.*))?';
+      })
+      .replace(/:([a-zA-Z]\w*)/g, (_, name) => {
+        names.push(name);
+        return '([^/]+)';
+      });
+    rules.push({ host, re: new RegExp(`^${pattern}$`), names, to: parts[1], status: parseInt(parts[2], 10) || 301 });
+  }
+  return rules;
+}
+
+/** First rule matching (host, pathname), with its target filled in. */
+function matchRedirect(rules, host, pathname) {
+  for (const rule of rules) {
+    if (rule.host && rule.host !== host) continue;
+    const m = pathname.match(rule.re);
+    if (!m) continue;
+    let to = rule.to;
+    rule.names.forEach((name, i) => {
+      to = to.replace(`:${name}`, m[i + 1] || '');
+    });
+    return { to, status: rule.status };
+  }
+  return null;
+}
+
+/**
+ * Resolve an internal URL against the files on disk and the redirect rules.
+ * @param {string} host - '' for the canonical host, else e.g. www.theseopilot.pro
+ * @returns {{ ok: boolean, hops: string[] }} hops: every URL redirected to, in order
+ */
+function resolvePath(files, rules, host, pathname) {
+  const hops = [];
+  let current = pathname;
+  let currentHost = host;
+  for (let i = 0; i <= MAX_HOPS; i++) {
+    if (!currentHost) {
+      let decoded = current;
+      try {
+        decoded = decodeURI(current);
+      } catch (_) {}
+      if (files.has(decoded) || (decoded.endsWith('/') && files.has(decoded + 'index.html'))) return { ok: true, hops };
+      if (!decoded.endsWith('/') && files.has(decoded + '/index.html')) {
+        // Hosts add the trailing slash with a redirect
+        current += '/';
+        hops.push(current);
+        continue;
+      }
+    }
+    const redirect = matchRedirect(rules, currentHost, current);
+    if (!redirect) return { ok: false, hops };
+    let next;
+    try {
+      next = new URL(redirect.to, `https://${currentHost || 'theseopilot.pro'}${current}`);
+    } catch (_) {
+      return { ok: false, hops };
+    }
+    if (!SITE_HOSTS.has(next.hostname)) return { ok: true, hops: [...hops, next.href] };
+    current = next.pathname;
+    currentHost = next.hostname === 'theseopilot.pro' ? '' : next.hostname;
+    // Status 200 is a rewrite: served from the target without a visible redirect
+    if (redirect.status !== 200) hops.push(currentHost ? next.href : current);
+  }
+  return { ok: false, hops };
+}
+
+/** Every href/src/srcset/action URL in a page. */
+function extractLinks(html) {
+  const links = [];
+  const body = html.replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '');
+  for (const tag of body.match(/<(a|link|img|script|source|iframe|form)\b[^>]*>/gi) || []) {
+    for (const m of tag.matchAll(/\s(href|src|srcset|action)\s*=\s*"([^"]*)"/gi)) {
+      const name = m[1].toLowerCase();
+      const value = m[2].replace(/&amp;/g, '&');
+      if (name === 'srcset') {
+        value.split(',').map((s) => s.trim().split(/\s+/)[0]).filter(Boolean).forEach((u) => links.push(u));
+      } else {
+        links.push(value);
+      }
+    }
+  }
+  // Script tags were stripped above; keep their src
+  for (const m of html.matchAll(/<script\b[^>]*\ssrc\s*=\s*"([^"]*)"/gi)) links.push(m[1]);
+  return links;
+}
+
+/** CTA buttons rendered with the "#" fallback, with the entry ID from the wrapping block. */
+function findCtaFallbacks(html) {
+  const found = [];
+  for (const m of html.matchAll(/<a href="#" class="cta-btn">([\s\S]*?)<\/a>/g)) {
+    const before = html.slice(0, m.index);
+    const block = before.lastIndexOf('content-block--cta');
+    const idMatch = block >= 0 ? before.slice(block).match(/data-entry-id="([^"]*)"/) : null;
+    found.push({ entryId: (idMatch && idMatch[1]) || '(unknown)', label: m[1].replace(/<[^>]+>/g, '').trim() });
+  }
+  return found;
+}
+
+/**
+ * Check every page under root.
+ * @returns {{ pages: number, links: number, broken: object[], redirects: object[], ctaFallbacks: object[] }}
+ */
+function checkLinks(root) {
+  const files = new Set(listSiteFiles(root).map((f) => '/' + path.relative(root, f).split(path.sep).join('/')));
+  const redirectsFile = path.join(root, '_redirects');
+  const rules = parseRedirects(fs.existsSync(redirectsFile) ? fs.readFileSync(redirectsFile, 'utf8') : '');
+  const result = { pages: 0, links: 0, broken: [], redirects: [], ctaFallbacks: [] };
+  const cache = new Map();
+
+  for (const file of listHtmlFiles(root)) {
+    const page = urlPathFor(root, file);
+    const html = fs.readFileSync(file, 'utf8');
+    result.pages++;
+    for (const cta of findCtaFallbacks(html)) result.ctaFallbacks.push({ page, ...cta });
+
+    for (const raw of new Set(extractLinks(html))) {
+      if (!raw || raw.startsWith('#') || /^(mailto|tel|javascript|data):/i.test(raw)) continue;
+      let url;
+      try {
+        url = new URL(raw, `https://theseopilot.pro${page}`);
+      } catch (_) {
+        result.broken.push({ page, href: raw, reason: 'invalid URL' });
+        continue;
+      }
+      if (!/^https?:$/.test(url.protocol) || !SITE_HOSTS.has(url.hostname)) continue;
+      result.links++;
+      const host = url.hostname === 'theseopilot.pro' ? '' : url.hostname;
+      const key = `${host}|${url.pathname}`;
+      if (!cache.has(key)) cache.set(key, resolvePath(files, rules, host, url.pathname));
+      const { ok, hops } = cache.get(key);
+      if (!ok) result.broken.push({ page, href: raw, reason: hops.length ? `404 after ${hops.join(' → ')}` : '404' });
+      else if (hops.length) result.redirects.push({ page, href: raw, hops });
+    }
+  }
+  return result;
+}
+
+function printLinkReport(result) {
+  if (result.broken.length) {
+    console.log(`\nBroken links (${result.broken.length}):`);
+    for (const b of result.broken) console.log(`  ${b.page}  →  ${b.href}  (${b.reason})`);
+  }
+  if (result.redirects.length) {
+    console.log(`\nLinks through redirects (${result.redirects.length}):`);
+    for (const r of result.redirects) {
+      console.log(`  ${r.page}  →  ${r.href}  ⇒ ${r.hops.join(' ⇒ ')}${r.hops.length > 1 ? `  [chain: ${r.hops.length} hops]` : ''}`);
+    }
+  }
+  if (result.ctaFallbacks.length) {
+    console.log(`\nCTA buttons without a URL (fell back to "#") (${result.ctaFallbacks.length}):`);
+    for (const c of result.ctaFallbacks) console.log(`  ${c.page}  "${c.label}"  entry ${c.entryId}`);
+  }
+  const chains = result.redirects.filter((r) => r.hops.length > 1).length;
+  console.log(`\nLinks: ${result.pages} pages, ${result.links} internal links, ${result.broken.length} broken, ${result.redirects.length} redirected (${chains} chains), ${result.ctaFallbacks.length} CTA fallbacks.`);
+}
+
+if (require.main === module) {
+  const result = checkLinks(path.resolve(__dirname, '..'));
+  printLinkReport(result);
+  if (result.broken.length || result.ctaFallbacks.length) process.exit(1);
+}
+
+module.exports = {
+  parseRedirects,
+  checkLinks,
+  printLinkReport,
+};
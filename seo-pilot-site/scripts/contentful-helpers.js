@@ -1,11 +1,20 @@
 /**
- * Shared helpers for Contentful (generate + preview-api).
+ * Shared helpers for Contentful (generator + preview-api; blog posts are rendered in post-view.js).
  * Architecture: Page – Blog Post (rich text content, faqs), Page – Case Study, Component – SEO, Result Block.
  */
 
 const { documentToHtmlString } = require('@contentful/rich-text-html-renderer');
 const { BLOCKS, INLINES } = require('@contentful/rich-text-types');
+const { responsiveImageHtml } = require('./contentful-images');
+const { escapeHtml, escapeAttr, slugify } = require('./text-utils');
+const { createHeadingCollector, headingRenderers } = require('./rich-text-toc');
 
+const BLOCK_NODE_TYPES = new Set(Object.values(BLOCKS));
+
+/**
+ * Value of a locale=* field. Takes the first locale present, so run the response through
+ * localizeResponse() first to pick the locale (with fallback) that should win.
+ */
 function unwrap(x) {
   if (x == null) return undefined;
   if (typeof x === 'object' && !Array.isArray(x) && x.constructor === Object) {
@@ -15,6 +24,76 @@ function unwrap(x) {
   return x;
 }
 
+/**
+ * Locale codes to try for `code`, in order: the locale itself, its fallbackCode chain, then the space default.
+ * @param {string} code
+ * @param {{ code: string, default?: boolean, fallbackCode?: string|null }[]} locales - Contentful /locales items
+ */
+function localeFallbackChain(code, locales = []) {
+  const byCode = new Map(locales.map((l) => [l.code, l]));
+  const chain = [];
+  let cur = code;
+  while (cur && !chain.includes(cur)) {
+    chain.push(cur);
+    cur = byCode.has(cur) ? byCode.get(cur).fallbackCode : null;
+  }
+  const def = defaultLocale(locales);
+  if (def && !chain.includes(def)) chain.push(def);
+  return chain;
+}
+
+/** Space default locale code ('' when locales are unknown). */
+function defaultLocale(locales = []) {
+  const d = locales.find((l) => l.default) || locales[0];
+  return d ? d.code : '';
+}
+
+/**
+ * Copy of an entry or asset fetched with locale=* whose fields each hold a single value for chain[0],
+ * taken from the first locale in the chain that has one. unwrap() then reads that value.
+ */
+function localizeEntry(entry, chain, codes) {
+  if (!entry || !entry.fields) return entry;
+  const fields = {};
+  for (const [key, val] of Object.entries(entry.fields)) {
+    const isLocaleMap = val && typeof val === 'object' && !Array.isArray(val) && Object.keys(val).every((k) => codes.has(k));
+    if (!isLocaleMap) {
+      fields[key] = val;
+      continue;
+    }
+    const code = chain.find((c) => val[c] != null);
+    if (code) fields[key] = { [chain[0]]: val[code] };
+  }
+  return { ...entry, fields };
+}
+
+/**
+ * Localize a locale=* response (items + includes) to one locale with per-field fallback.
+ * Returns the data unchanged when the space locales are unknown.
+ */
+function localizeResponse(data, locale, locales = []) {
+  if (!data || !locales.length) return data;
+  const chain = localeFallbackChain(locale || defaultLocale(locales), locales);
+  const codes = new Set(locales.map((l) => l.code));
+  const loc = (e) => localizeEntry(e, chain, codes);
+  const includes = data.includes || {};
+  return {
+    ...data,
+    items: (data.items || []).map(loc),
+    includes: {
+      ...includes,
+      Entry: (includes.Entry || []).map(loc),
+      Asset: (includes.Asset || []).map(loc),
+    },
+  };
+}
+
+/** True when the (locale=*) entry has its own value for `locale` in any of `fieldIds` (not a fallback). */
+function hasLocaleContent(entry, locale, fieldIds) {
+  const f = (entry && entry.fields) || {};
+  return fieldIds.some((id) => f[id] && typeof f[id] === 'object' && f[id][locale] != null);
+}
+
 function resolveEntry(id, includes, items = []) {
   const fromItems = Array.isArray(items) ? items : [];
   const fromIncludes = (includes && includes.Entry) || [];
@@ -27,6 +106,32 @@ function resolveAsset(id, includes) {
   return list.find((a) => a.sys && a.sys.id === id) || null;
 }
 
+/** Entry linked from the SEO field (seoFields or seo), or null. */
+function resolveSeoRef(entry, includes, items = []) {
+  const f = entry.fields || {};
+  const ref = unwrap(f.seoFields) || unwrap(f.seo);
+  const id = ref && ref.sys && ref.sys.id;
+  return id ? resolveEntry(id, includes, items) : null;
+}
+
+/** Entry linked from the author field, or null. */
+function resolveAuthorRef(entry, includes, items = []) {
+  const f = entry.fields || {};
+  const ref = unwrap(f.author);
+  const id = ref && ref.sys && ref.sys.id;
+  return id ? resolveEntry(id, includes, items) : null;
+}
+
+/** First of fieldIds holding a Rich Text document, or null. */
+function richTextField(entry, fieldIds) {
+  const f = entry.fields || {};
+  for (const fid of fieldIds) {
+    const val = unwrap(f[fid]);
+    if (val && typeof val === 'object' && (val.nodeType === 'document' || Array.isArray(val.content))) return val;
+  }
+  return null;
+}
+
 function assetUrl(asset) {
   if (!asset || !asset.fields || !asset.fields.file) return '';
   const file = unwrap(asset.fields.file);
@@ -34,6 +139,24 @@ function assetUrl(asset) {
   return url ? (url.startsWith('//') ? 'https:' + url : url) : '';
 }
 
+/**
+ * Image data for responsiveImageHtml(): https URL, pixel size from file.details.image, content type.
+ * @returns {{ url: string, width: number, height: number, contentType: string, title: string } | null}
+ */
+function assetImage(asset) {
+  const url = assetUrl(asset);
+  if (!url) return null;
+  const file = unwrap(asset.fields.file);
+  const dims = (file.details && file.details.image) || {};
+  return {
+    url,
+    width: dims.width || 0,
+    height: dims.height || 0,
+    contentType: file.contentType || '',
+    title: unwrap(asset.fields.title) || '',
+  };
+}
+
 /** Resolve embedded entry from node - supports both link and pre-resolved target */
 function resolveEmbeddedEntry(node, includes, items = []) {
   const target = node.data?.target;
@@ -61,18 +184,34 @@ function fieldToText(val) {
         if (node.nodeType === 'text') {
           text += node.value || '';
         } else if (node.content && Array.isArray(node.content)) {
-          text += extractText(node.content);
+          // Paragraphs, headings and list items end a word ("end.Next" would count as one)
+          text += extractText(node.content) + (BLOCK_NODE_TYPES.has(node.nodeType) ? '\n' : '');
         }
       }
       return text;
     };
-    return extractText(val.content);
+    return extractText(val.content).trim();
   }
   // Fallback for other objects
   if (typeof val === 'object') return '';
   return String(val);
 }
 
+/** Reading speed for reading time estimates (words per minute). */
+const WORDS_PER_MINUTE = 230;
+
+/**
+ * Word count and estimated reading time of plain text (e.g. fieldToText of the post content).
+ * @returns {{ wordCount: number, readingMinutes: number }} readingMinutes is at least 1 for any text
+ */
+function readingStats(text) {
+  const words = String(text || '').match(/[\p{L}\p{N}]+(?:['’.-][\p{L}\p{N}]+)*/gu) || [];
+  return {
+    wordCount: words.length,
+    readingMinutes: words.length ? Math.max(1, Math.round(words.length / WORDS_PER_MINUTE)) : 0,
+  };
+}
+
 /** Render CTA block or rich content block from resolved entry */
 function renderEmbeddedEntry(entry, includes, items = [], richTextToHtmlRef) {
   if (!entry || !entry.fields) return '';
@@ -97,7 +236,8 @@ function renderEmbeddedEntry(entry, includes, items = [], richTextToHtmlRef) {
     if (heading) h += `<h3 class="cta-block-heading">${escapeHtml(heading)}</h3>`;
     if (descHtml) h += `<div class="cta-block-desc">${descHtml}</div>`;
     if (url && btn) h += `<a href="${escapeAttr(url)}" class="cta-btn">${escapeHtml(btn)}</a>`;
-    return h ? `<div class="content-block content-block--cta">${h}</div>` : '';
+    // data-entry-id lets the link checker name the entry behind a CTA that fell back to #
+    return h ? `<div class="content-block content-block--cta" data-entry-id="${escapeAttr(entry.sys?.id || '')}">${h}</div>` : '';
   }
   if (ct === blockTypeId) {
     const f = entry.fields;
@@ -112,9 +252,8 @@ function renderEmbeddedEntry(entry, includes, items = [], richTextToHtmlRef) {
       html = richTextToHtmlRef(rich, includes, items);
     }
     if (img && img.sys && img.sys.id) {
-      const a = resolveAsset(img.sys.id, includes);
-      const u = assetUrl(a);
-      if (u) html += `<figure class="content-block-figure"><img src="${u}" alt="${escapeAttr(cap)}" loading="lazy" />${cap ? `<figcaption>${escapeHtml(cap)}</figcaption>` : ''}</figure>`;
+      const image = assetImage(resolveAsset(img.sys.id, includes));
+      if (image) html += `<figure class="content-block-figure">${responsiveImageHtml(image, { alt: cap })}${cap ? `<figcaption>${escapeHtml(cap)}</figcaption>` : ''}</figure>`;
     }
     const base = 'content-block content-block--' + typeClass;
     const full = fullWidth ? ' content-block--full' : '';
@@ -123,21 +262,25 @@ function renderEmbeddedEntry(entry, includes, items = [], richTextToHtmlRef) {
   return '';
 }
 
-function richTextToHtml(doc, includes = {}, items = []) {
+/**
+ * Rich text document to HTML. h2–h4 get anchor ids, recorded in headings (see rich-text-toc.js);
+ * pass one collector for everything rendered into the same page.
+ */
+function richTextToHtml(doc, includes = {}, items = [], headings = createHeadingCollector()) {
   if (!doc || !doc.content) return '';
+  const nested = (d, inc, it) => richTextToHtml(d, inc, it, headings);
   const renderEmbedded = (node) => {
     const entry = resolveEmbeddedEntry(node, includes, items);
-    return renderEmbeddedEntry(entry, includes, items, richTextToHtml);
+    return renderEmbeddedEntry(entry, includes, items, nested);
   };
 
   const options = {
     renderNode: {
+      ...headingRenderers(headings),
       [BLOCKS.EMBEDDED_ASSET]: (node) => {
         const id = node.data?.target?.sys?.id;
-        const asset = resolveAsset(id, includes);
-        const url = assetUrl(asset);
-        const title = unwrap(asset?.fields?.title) || '';
-        return url ? `<img src="${url}" alt="${escapeAttr(title)}" loading="lazy" />` : '';
+        const image = assetImage(resolveAsset(id, includes));
+        return image ? responsiveImageHtml(image, { alt: image.title }) : '';
       },
       [BLOCKS.EMBEDDED_ENTRY]: renderEmbedded,
       [INLINES.EMBEDDED_ENTRY]: (node) => {
@@ -153,23 +296,6 @@ function richTextToHtml(doc, includes = {}, items = []) {
   }
 }
 
-function escapeHtml(s) {
-  if (s == null) return '';
-  return String(s)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
-}
-
-function escapeAttr(s) {
-  if (s == null) return '';
-  return String(s)
-    .replace(/&/g, '&amp;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
-}
-
 /** Normalize block type for CSS class (text, image, quote, list, code, cta). */
 function blockTypeClass(blockType) {
   if (!blockType || typeof blockType !== 'string') return 'text';
@@ -308,9 +434,21 @@ function getFeaturedImageUrl(entry, includes) {
   return assetUrl(asset);
 }
 
+/** Featured image as assetImage() data (for responsiveImageHtml), or null. */
+function getFeaturedImage(entry, includes) {
+  if (!entry || !entry.fields) return null;
+  const img = unwrap(entry.fields.featuredImage) || unwrap(entry.fields.featured_image);
+  if (!img || !img.sys || !img.sys.id) return null;
+  return assetImage(resolveAsset(img.sys.id, includes));
+}
+
+/** Author fields holding profile URLs, collected into `sameAs` (besides a `sameAs` list field). */
+const AUTHOR_SOCIAL_FIELDS = ['website', 'websiteUrl', 'linkedin', 'linkedinUrl', 'twitter', 'twitterUrl', 'x', 'xUrl', 'github', 'githubUrl'];
+
 /**
  * Extract author fields from resolved Component – Author entry.
  * includes: { Asset: [] } for resolving avatar.
+ * slug falls back to the slugified name; sameAs holds the absolute profile URLs found.
  */
 function getAuthor(authorEntry, includes = {}) {
   if (!authorEntry || !authorEntry.fields) return null;
@@ -319,15 +457,22 @@ function getAuthor(authorEntry, includes = {}) {
   if (!name) return null;
   const avatar = unwrap(f.avatar);
   let avatarUrl = '';
+  let avatarImage = null;
   if (avatar && avatar.sys && avatar.sys.id) {
     const asset = resolveAsset(avatar.sys.id, includes);
     avatarUrl = assetUrl(asset);
+    avatarImage = assetImage(asset);
   }
   return {
     name,
+    avatarImage,
     avatarUrl,
     bio: fieldToText(unwrap(f.bio)) || '',
     roleCompany: fieldToText(unwrap(f.roleCompany)) || fieldToText(unwrap(f.role_company)) || '',
+    slug: fieldToText(unwrap(f.slug)) || slugify(name),
+    sameAs: [...new Set([].concat(unwrap(f.sameAs) || [], AUTHOR_SOCIAL_FIELDS.map((k) => unwrap(f[k])))
+      .map((u) => fieldToText(u).trim())
+      .filter((u) => /^https?:\/\//i.test(u)))],
   };
 }
 
@@ -349,15 +494,35 @@ function buildResultsFromResultBlocks(refs, includes, items = []) {
     if (label || value) html += `<p class="result-metric"><strong>${escapeHtml(value || '')}</strong> ${escapeHtml(label || '')}</p>`;
     if (desc) html += `<p>${escapeHtml(desc)}</p>`;
     if (img && img.sys && img.sys.id) {
-      const asset = resolveAsset(img.sys.id, includes);
-      const u = assetUrl(asset);
-      if (u) html += `<img src="${u}" alt="${escapeAttr(label || 'Result')}" class="results-graph" loading="lazy" />`;
+      const image = assetImage(resolveAsset(img.sys.id, includes));
+      if (image) html += responsiveImageHtml(image, { alt: label || 'Result', className: 'results-graph' });
     }
     if (html) parts.push(`<div class="result-block">${html}</div>`);
   }
   return parts.join('\n');
 }
 
+/**
+ * Result Block refs as structured data (JSON content API, schema).
+ * @returns {{ metricValue: string, metricLabel: string, description: string, graphImageUrl: string }[]}
+ */
+function getResultMetrics(refs, includes, items = []) {
+  if (!Array.isArray(refs)) return [];
+  const metrics = [];
+  for (const ref of refs) {
+    const entry = ref && ref.sys && ref.sys.id ? resolveEntry(ref.sys.id, includes, items) : null;
+    if (!entry || !entry.fields) continue;
+    const img = unwrap(entry.fields.graphImage);
+    metrics.push({
+      metricValue: fieldToText(unwrap(entry.fields.metricValue)),
+      metricLabel: fieldToText(unwrap(entry.fields.metricLabel)),
+      description: fieldToText(unwrap(entry.fields.description)),
+      graphImageUrl: img && img.sys && img.sys.id ? assetUrl(resolveAsset(img.sys.id, includes)) : '',
+    });
+  }
+  return metrics;
+}
+
 /**
  * Render content blocks from a reference array field (e.g. contentBlocks).
  * Supports CTA blocks and Rich Content blocks.
@@ -366,7 +531,7 @@ function buildResultsFromResultBlocks(refs, includes, items = []) {
  * @param {Array} items - Additional items to search for entries
  * @returns {string} HTML string
  */
-function renderContentBlocks(refs, includes, items = []) {
+function renderContentBlocks(refs, includes, items = [], headings = createHeadingCollector()) {
   if (!Array.isArray(refs) || refs.length === 0) return '';
   const parts = [];
   for (const ref of refs) {
@@ -374,7 +539,7 @@ function renderContentBlocks(refs, includes, items = []) {
     if (!id) continue;
     const entry = resolveEntry(id, includes, items);
     if (!entry) continue;
-    const html = renderEmbeddedEntry(entry, includes, items, richTextToHtml);
+    const html = renderEmbeddedEntry(entry, includes, items, (d, inc, it) => richTextToHtml(d, inc, it, headings));
     if (html) parts.push(html);
   }
   return parts.join('\n');
@@ -382,18 +547,32 @@ function renderContentBlocks(refs, includes, items = []) {
 
 module.exports = {
   unwrap,
+  defaultLocale,
+  localeFallbackChain,
+  localizeResponse,
+  hasLocaleContent,
   resolveEntry,
   resolveAsset,
+  resolveSeoRef,
+  resolveAuthorRef,
+  richTextField,
   assetUrl,
+  assetImage,
   richTextToHtml,
   escapeHtml,
   escapeAttr,
+  slugify,
   getSeo,
   getAuthor,
   getFeaturedImageUrl,
+  getFeaturedImage,
+  responsiveImageHtml,
   formatPublishedDate,
   buildResultsFromResultBlocks,
+  getResultMetrics,
   extractFaqPairs,
   buildFaqSchema,
   renderContentBlocks,
+  readingStats,
+  fieldToText,
 };
@@ -0,0 +1,76 @@
+/**
+ * Responsive images for Contentful assets (Images API: https://www.contentful.com/developers/docs/references/images-api/).
+ * Renders <picture> with AVIF and WebP sources plus a srcset of width steps, and sets
+ * width/height from file.details.image so the browser reserves space (no layout shift).
+ *
+ * Used by the generator and, through post-view.js, the Preview API.
+ */
+
+const { escapeAttr } = require('./text-utils');
+
+/** srcset width steps (px); steps wider than the original are dropped. */
+const IMAGE_WIDTHS = [320, 480, 640, 960, 1280, 1600, 1920];
+/** Formats offered as <source>s, best first. The <img> fallback keeps the original format. */
+const IMAGE_FORMATS = ['avif', 'webp'];
+const IMAGE_QUALITY = 75;
+
+/** Whether the Images API can resize/convert the URL (Contentful image host, not SVG/GIF). */
+function isTransformable(image) {
+  return /^https:\/\/images\.ctfassets\.net\//.test(image.url) && !/svg|gif/.test(image.contentType || image.url.split('?')[0].split('.').pop());
+}
+
+/** Images API URL with the given params (w, h, fm, q, fit). */
+function imageUrl(url, params = {}) {
+  const query = Object.entries(params)
+    .filter(([, v]) => v != null && v !== '')
+    .map(([k, v]) => `${k}=${encodeURIComponent(v)}`)
+    .join('&');
+  return query ? `${url}${url.includes('?') ? '&' : '?'}${query}` : url;
+}
+
+/**
+ * Responsive image HTML for a Contentful image.
+ * @param {{ url: string, width?: number, height?: number, contentType?: string }} image - see assetImage() in contentful-helpers.js
+ * @param {object} [opts]
+ * @param {string} [opts.alt]
+ * @param {string} [opts.sizes] - sizes attribute (default: full width up to 800px)
+ * @param {number} [opts.maxWidth] - Largest rendition (default 1920)
+ * @param {number} [opts.displayWidth] - Fixed display width (avatars): srcset of 1x/2x instead of width steps
+ * @param {string} [opts.className]
+ * @param {'lazy'|'eager'} [opts.loading]
+ * @returns {string}
+ */
+function responsiveImageHtml(image, opts = {}) {
+  if (!image || !image.url) return '';
+  const loading = opts.loading || 'lazy';
+  const cls = opts.className ? ` class="${escapeAttr(opts.className)}"` : '';
+  let width = image.width;
+  let height = image.height;
+  if (opts.displayWidth && width && height) {
+    height = Math.round((height * opts.displayWidth) / width);
+    width = opts.displayWidth;
+  }
+  const dims = width && height ? ` width="${width}" height="${height}"` : '';
+  const common = `alt="${escapeAttr(opts.alt)}"${cls}${dims} loading="${loading}" decoding="async"`;
+  if (!isTransformable(image)) return `<img src="${escapeAttr(image.url)}" ${common} />`;
+
+  const maxWidth = Math.min(opts.maxWidth || 1920, image.width || Infinity);
+  let widths;
+  if (opts.displayWidth) {
+    widths = [opts.displayWidth, opts.displayWidth * 2].filter((w) => w <= maxWidth);
+    if (!widths.length) widths = [maxWidth];
+  } else {
+    widths = [...IMAGE_WIDTHS.filter((w) => w < maxWidth), maxWidth];
+  }
+  const sizes = opts.sizes || (opts.displayWidth ? `${opts.displayWidth}px` : '(max-width: 800px) 100vw, 800px');
+  const srcset = (fm) => widths.map((w) => `${escapeAttr(imageUrl(image.url, { w, fm, q: fm ? IMAGE_QUALITY : undefined }))} ${w}w`).join(', ');
+  const sources = IMAGE_FORMATS.map((fm) => `<source type="image/${fm}" srcset="${srcset(fm)}" sizes="${escapeAttr(sizes)}" />`).join('');
+  const fallback = imageUrl(image.url, { w: widths[widths.length - 1] });
+  return `<picture>${sources}<img src="${escapeAttr(fallback)}" srcset="${srcset()}" sizes="${escapeAttr(sizes)}" ${common} /></picture>`;
+}
+
+module.exports = {
+  IMAGE_WIDTHS,
+  imageUrl,
+  responsiveImageHtml,
+};
@@ -0,0 +1,129 @@
+/**
+ * Contentful Sync API support for delta generation (npm run generate -- --sync).
+ *
+ * The first run does an initial sync and stores every published entry and asset plus the
+ * nextSyncToken in .generate-cache/sync.json. Later runs send the token and only receive
+ * what changed or was deleted since, apply it to the stored copy, and hand the generator
+ * response-shaped collections ({ items, includes }). The build manifest then rewrites only
+ * the pages that depend on changed entries and removes pages of deleted ones.
+ *
+ * Sync responses always use the locale=* field shape, the same as the /entries queries.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { unwrap } = require('./contentful-helpers');
+
+/** sync_token query param from a nextPageUrl / nextSyncUrl */
+function syncTokenFrom(url) {
+  try {
+    return new URL(url).searchParams.get('sync_token') || '';
+  } catch (_) {
+    return '';
+  }
+}
+
+function readStore(file) {
+  try {
+    const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (json && json.syncToken && json.entries && json.assets) return json;
+  } catch (_) {}
+  return null;
+}
+
+/**
+ * Run an initial or delta sync and return the current space content.
+ * @param {(endpoint: string) => Promise<object>} fetchContentful - GET against the Delivery API environment
+ * @param {object} opts
+ * @param {string} opts.cacheFile - Where the token and entries are stored
+ * @param {boolean} [opts.full] - Ignore the stored token and run an initial sync
+ * @param {string} [opts.recordDir] - Save each raw sync response here (fixtures for the mock server)
+ * @returns {Promise<{ entries: object[], assets: object[], initial: boolean, changed: number, deleted: number, save: () => void }>}
+ */
+async function syncSpace(fetchContentful, opts) {
+  const previous = opts.full ? null : readStore(opts.cacheFile);
+  const store = previous || { syncToken: '', entries: {}, assets: {} };
+  const initial = !previous;
+  let changed = 0;
+  let deleted = 0;
+
+  let query = initial ? 'initial=true' : `sync_token=${encodeURIComponent(store.syncToken)}`;
+  let recordName = initial ? 'initial' : store.syncToken;
+  for (;;) {
+    const page = await fetchContentful(`/sync?${query}`);
+    if (opts.recordDir) {
+      fs.mkdirSync(opts.recordDir, { recursive: true });
+      fs.writeFileSync(path.join(opts.recordDir, `${recordName}.json`), JSON.stringify(page, null, 2), 'utf8');
+    }
+    for (const item of page.items || []) {
+      const sys = item.sys || {};
+      if (sys.type === 'Entry') store.entries[sys.id] = item;
+      else if (sys.type === 'Asset') store.assets[sys.id] = item;
+      else if (sys.type === 'DeletedEntry') delete store.entries[sys.id];
+      else if (sys.type === 'DeletedAsset') delete store.assets[sys.id];
+      else continue;
+      if (sys.type.startsWith('Deleted')) deleted++;
+      else changed++;
+    }
+    if (page.nextPageUrl) {
+      recordName = syncTokenFrom(page.nextPageUrl);
+      query = `sync_token=${encodeURIComponent(recordName)}`;
+      continue;
+    }
+    store.syncToken = syncTokenFrom(page.nextSyncUrl);
+    if (!store.syncToken) throw new Error('Contentful sync response has no nextSyncUrl');
+    break;
+  }
+
+  return {
+    entries: Object.values(store.entries),
+    assets: Object.values(store.assets),
+    initial,
+    changed,
+    deleted,
+    /** Persist the new token; call only after the pages were generated, so a failed build retries the delta. */
+    save() {
+      fs.mkdirSync(path.dirname(opts.cacheFile), { recursive: true });
+      fs.writeFileSync(opts.cacheFile, JSON.stringify(store), 'utf8');
+    },
+  };
+}
+
+/**
+ * Response-shaped collection for one content type, like GET /entries?content_type=...&include=10.
+ * Every other synced entry and all assets go into includes so links resolve at any depth.
+ * @param {(a: object, b: object) => number} compare - Order of items (mirrors the `order` query)
+ */
+function collectionFromSync(synced, contentType, compare) {
+  const isType = (e) => (e.sys?.contentType?.sys?.id || '') === contentType;
+  const items = synced.entries.filter(isType).sort(compare);
+  return {
+    items,
+    includes: {
+      Entry: synced.entries.filter((e) => !isType(e)),
+      Asset: synced.assets,
+    },
+    total: items.length,
+  };
+}
+
+/** Comparator for "-fields.<field>,sys.id" (descending field value, then id). */
+function byFieldDesc(field) {
+  return (a, b) => {
+    const va = String(unwrap((a.fields || {})[field]) || '');
+    const vb = String(unwrap((b.fields || {})[field]) || '');
+    return vb.localeCompare(va) || String(a.sys.id).localeCompare(String(b.sys.id));
+  };
+}
+
+/** Comparator for "-sys.<field>,sys.id". */
+function bySysDesc(field) {
+  return (a, b) => String(b.sys[field] || '').localeCompare(String(a.sys[field] || '')) || String(a.sys.id).localeCompare(String(b.sys.id));
+}
+
+module.exports = {
+  syncSpace,
+  collectionFromSync,
+  byFieldDesc,
+  bySysDesc,
+};
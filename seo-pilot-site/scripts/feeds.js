@@ -0,0 +1,146 @@
+/**
+ * Blog feeds (RSS 2.0, Atom and JSON Feed 1.1) built from the post data generateBlog computes.
+ * Feed items: { title, subtitle, url, published, updated, authorName, imageUrl, html }
+ */
+
+const { escapeHtml } = require('./contentful-helpers');
+
+/** Escape for XML text and attribute values. */
+function xml(s) {
+  return escapeHtml(s).replace(/'/g, '&apos;');
+}
+
+/** Wrap in CDATA, splitting any "]]>" inside the content. */
+function cdata(s) {
+  return `<![CDATA[${String(s || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/** Make root-relative href/src in rendered HTML absolute, so links work inside feed readers. */
+function absolutizeHtml(html, base) {
+  return String(html || '').replace(/(href|src)="\/(?!\/)/g, `$1="${base}/`);
+}
+
+/** Full-content HTML for a feed item: featured image, then the rendered body. */
+function itemHtml(item, base) {
+  const img = item.imageUrl ? `<p><img src="${xml(item.imageUrl)}" alt="${xml(item.title)}" /></p>` : '';
+  return img + absolutizeHtml(item.html, base);
+}
+
+function isoDate(d) {
+  const t = d ? new Date(d) : null;
+  return t && !isNaN(t.getTime()) ? t.toISOString() : '';
+}
+
+/** Latest published/updated date of the items; keeps feed output stable between runs. */
+function feedUpdated(items) {
+  const times = items.flatMap((i) => [i.published, i.updated]).map((d) => new Date(d).getTime()).filter((t) => !isNaN(t));
+  return times.length ? new Date(Math.max(...times)).toISOString() : '';
+}
+
+/**
+ * @param {object[]} items - Feed items, newest first
+ * @param {{ title, description, siteUrl, feedUrl, base }} meta
+ */
+function buildRss(items, meta) {
+  const updated = feedUpdated(items);
+  const entries = items.map((item) => {
+    const pub = isoDate(item.published) || isoDate(item.updated);
+    return `    <item>
+      <title>${xml(item.title)}</title>
+      <link>${xml(item.url)}</link>
+      <guid isPermaLink="true">${xml(item.url)}</guid>${pub ? `
+      <pubDate>${new Date(pub).toUTCString()}</pubDate>` : ''}${item.authorName ? `
+      <dc:creator>${xml(item.authorName)}</dc:creator>` : ''}
+      <description>${xml(item.subtitle)}</description>${item.imageUrl ? `
+      <media:content url="${xml(item.imageUrl)}" medium="image" />` : ''}
+      <content:encoded>${cdata(itemHtml(item, meta.base))}</content:encoded>
+    </item>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${xml(meta.title)}</title>
+    <link>${xml(meta.siteUrl)}</link>
+    <description>${xml(meta.description)}</description>
+    <language>en</language>
+    <atom:link href="${xml(meta.feedUrl)}" rel="self" type="application/rss+xml" />${updated ? `
+    <lastBuildDate>${new Date(updated).toUTCString()}</lastBuildDate>` : ''}
+${entries.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * @param {object[]} items - Feed items, newest first
+ * @param {{ title, description, siteUrl, feedUrl, base }} meta
+ */
+function buildAtom(items, meta) {
+  const updated = feedUpdated(items) || new Date(0).toISOString();
+  const entries = items.map((item) => {
+    const pub = isoDate(item.published);
+    const upd = isoDate(item.updated) || pub || updated;
+    return `  <entry>
+    <title>${xml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${xml(item.url)}" />
+    <id>${xml(item.url)}</id>${pub ? `
+    <published>${pub}</published>` : ''}
+    <updated>${upd}</updated>
+    <author><name>${xml(item.authorName || 'TheSEOPilot')}</name></author>
+    <summary>${xml(item.subtitle)}</summary>
+    <content type="html">${xml(itemHtml(item, meta.base))}</content>
+  </entry>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${xml(meta.title)}</title>
+  <subtitle>${xml(meta.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${xml(meta.siteUrl)}" />
+  <link rel="self" type="application/atom+xml" href="${xml(meta.feedUrl)}" />
+  <id>${xml(meta.siteUrl)}</id>
+  <updated>${updated}</updated>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * JSON Feed 1.1 (https://www.jsonfeed.org/version/1.1/)
+ * @param {object[]} items - Feed items, newest first
+ * @param {{ title, description, siteUrl, feedUrl, base }} meta
+ */
+function buildJsonFeed(items, meta) {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: meta.title,
+    home_page_url: meta.siteUrl,
+    feed_url: meta.feedUrl,
+    description: meta.description,
+    icon: meta.base + '/assets/img/logo-footer-circular.png',
+    favicon: meta.base + '/assets/img/favicon.ico',
+    language: 'en',
+    items: items.map((item) => {
+      const published = isoDate(item.published);
+      const modified = isoDate(item.updated);
+      return {
+        id: item.url,
+        url: item.url,
+        title: item.title,
+        ...(item.subtitle && { summary: item.subtitle }),
+        content_html: absolutizeHtml(item.html, meta.base),
+        ...(item.imageUrl && { image: item.imageUrl }),
+        ...(published && { date_published: published }),
+        ...(modified && { date_modified: modified }),
+        authors: [{ name: item.authorName || 'TheSEOPilot' }],
+      };
+    }),
+  };
+  return JSON.stringify(feed, null, 2) + '\n';
+}
+
+module.exports = {
+  absolutizeHtml,
+  buildRss,
+  buildAtom,
+  buildJsonFeed,
+};
@@ -3,37 +3,108 @@
  * Generate Resources from Contentful.
  * Architecture: Page – Blog Post, Page – Case Study; Component – SEO, Content Block, Result Block.
  *
- * - Blog listing + /resources/blog/{slug}/
+ * - Blog listing (paginated: /resources/blog/page/{n}/) + /resources/blog/{slug}/
+ *   (+ /resources/blog/{locale}/{slug}/ for other locales with content), each post with
+ *   related articles and previous/next links (see related-posts.js); posts without a featured
+ *   or share image get a generated social card og.png next to them (see og-card.js)
+ * - Topic archives /resources/blog/tag/{topic}/ from Contentful tags and the post `category` field
+ * - Author pages /resources/authors/{slug}/ (profile, Person JSON-LD, the author's posts)
+ * - Blog feeds: /resources/blog/feed.xml (RSS 2.0), /resources/blog/atom.xml (Atom), /resources/blog/feed.json (JSON Feed)
+ * - JSON content API: index.json next to the blog and case study listings and every post/case study page
+ * - Site search: /resources/search-index.json + /resources/search/ (client-side, see search-index.js and /search.js)
  * - Case studies listing + /resources/case-studies/{slug}/ (includes static Aspora)
+ * - sitemap.xml (static core pages + generated posts and case studies)
+ *
+ * Incremental: pages whose entries (and linked entries/assets) are unchanged since the last run
+ * are not rewritten; pages of deleted/unpublished entries are removed. See build-manifest.js.
+ *
+ * Sync mode (--sync or CONTENTFUL_SYNC=1): fetch only entries/assets changed or deleted since the
+ * last run via the Contentful Sync API instead of full /entries queries. See contentful-sync.js.
+ *
+ * Self-hosted assets (--self-host-assets or CONTENTFUL_SELF_HOST_ASSETS=1): Contentful images and
+ * files are downloaded to assets/cms/ and pages link to those copies. See self-host-assets.js.
+ *
+ * Afterwards every page's JSON-LD is validated (validate-structured-data.js); --strict fails
+ * the run on structured data errors. An on-page SEO audit is written to
+ * build-artifacts/seo-audit.md (seo-audit.js).
  *
  * Requires: CONTENTFUL_SPACE_ID, CONTENTFUL_ACCESS_TOKEN in .env
- * Run: npm run generate
+ * Run: npm run generate  (npm run generate -- --full to rewrite every page)
  */
 
 const fs = require('fs');
 const path = require('path');
 
 const ROOT = path.resolve(__dirname, '..');
-const BASE = 'https://theseopilot.pro';
+const { BASE, header, footer, gtmHead, gtmBody, baseHead } = require('./page-layout');
 
 const BLOG_CT = process.env.CONTENTFUL_BLOG_CONTENT_TYPE || 'pageBlogPost';
 const CASE_STUDY_CT = process.env.CONTENTFUL_CASE_STUDY_CONTENT_TYPE || 'caseStudyPage';
+// Posts per blog listing page (index and topic archives)
+const BLOG_PAGE_SIZE = 10;
+// Most recent posts included (full content) in the blog feeds
+const FEED_LIMIT = 20;
+// "Related articles" shown under each post
+const RELATED_LIMIT = 3;
+
+/** Hand-written pages (not generated from Contentful) listed in sitemap.xml. */
+const STATIC_SITEMAP_PAGES = [
+  { loc: BASE + '/', lastmod: '2026-01-15', changefreq: 'daily', priority: '1.00' },
+  { loc: BASE + '/privacy/', lastmod: '2025-12-05', changefreq: 'yearly', priority: '0.50' },
+  { loc: BASE + '/terms/', lastmod: '2025-12-05', changefreq: 'yearly', priority: '0.50' },
+  { loc: BASE + '/resources/', lastmod: '2026-01-12', changefreq: 'weekly', priority: '0.85' },
+  { loc: BASE + '/resources/case-studies/aspora-ai-visibility/', lastmod: '2026-01-12', changefreq: 'monthly', priority: '0.70' },
+];
 
 const {
   unwrap,
+  defaultLocale,
+  localizeResponse,
+  hasLocaleContent,
   resolveEntry,
+  resolveSeoRef,
+  resolveAuthorRef,
+  richTextField,
   escapeHtml,
   escapeAttr,
   getSeo,
   getAuthor,
-  getFeaturedImageUrl,
-  formatPublishedDate,
-  buildResultsFromResultBlocks,
-  richTextToHtml,
-  extractFaqPairs,
-  buildFaqSchema,
-  renderContentBlocks,
+  responsiveImageHtml,
+  fieldToText,
+  readingStats,
 } = require('./contentful-helpers');
+const { sha1, collectDependencies, loadManifest } = require('./build-manifest');
+const { syncSpace, collectionFromSync, byFieldDesc, bySysDesc } = require('./contentful-sync');
+const { buildRss, buildAtom, buildJsonFeed } = require('./feeds');
+const { buildSearchIndex } = require('./search-index');
+const { relatedPosts } = require('./related-posts');
+const { validateSite, printReport } = require('./validate-structured-data');
+const { auditSite, writeAuditReport } = require('./seo-audit');
+const { createAssetHost } = require('./self-host-assets');
+const { renderOgCard } = require('./og-card');
+const {
+  contentFieldIds,
+  blogPostPath,
+  blogTopics,
+  topicPath,
+  topicLinks,
+  authorPath,
+  readingTimeLabel,
+  hreflangAlternates,
+  buildPostView,
+  postPageHtml,
+  postJson,
+} = require('./post-view');
+const { caseStudyPath, buildCaseStudyView, caseStudyPageHtml, caseStudyJson } = require('./case-study-view');
+
+/** Current build session (see loadManifest); set in main(). */
+let build = null;
+/** Documents for the site search index, collected while pages are generated. */
+const searchDocs = [];
+/** Self-hosted assets (see createAssetHost); set in main() when enabled. */
+let assetHost = null;
+/** Writes held back until their asset URLs are downloaded (self-hosted assets only). */
+const pendingWrites = [];
 
 function env(name) {
   return process.env[name] || '';
@@ -45,351 +116,603 @@ function loadDotenv() {
   } catch (_) {}
 }
 
-function nav() {
-  return `
-      <nav class="desktop-nav">
-        <a href="/#services">Services</a>
-        <a href="/#workflow">Process</a>
-        <a href="/#about">About</a>
-        <a href="/resources/">Resources</a>
-        <a href="/#contact" class="nav-cta">Get Started</a>
-      </nav>
-      <div class="hamburger" onclick="toggleMenu()">☰</div>
-    </div>
-    <div class="mobile-nav" id="mobileNav">
-      <a href="/#services">Services</a>
-      <a href="/#workflow">Process</a>
-      <a href="/#about">About</a>
-      <a href="/resources/">Resources</a>
-      <a href="/#contact">Get Started</a>
-    </div>`;
+async function fetchContentful(endpoint) {
+  const space = env('CONTENTFUL_SPACE_ID');
+  const token = env('CONTENTFUL_ACCESS_TOKEN');
+  const cdnBase = (env('CONTENTFUL_CDN_BASE') || 'https://cdn.contentful.com').replace(/\/$/, '');
+  const url = `${cdnBase}/spaces/${space}/environments/master${endpoint}`;
+  const res = await fetch(url, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  if (!res.ok) throw new Error(`Contentful ${res.status}: ${await res.text()}`);
+  return res.json();
 }
 
-function header() {
-  return `  <header class="site-header">
-    <div class="nav-container">
-      <a href="/" class="nav-brand link-wrapper">
-        <div class="nav-logo-circle-frame">
-          <img src="/assets/img/logo-footer.webp" loading="lazy" alt="TheSEOPilot Logo" class="nav-logo" />
-        </div>
-        <div class="nav-logo">The<span class="logo-accent">SEO</span>Pilot</div>
-      </a>${nav()}
-  </header>`;
+/** Entries per request when paging through a collection (Contentful default is 100). */
+const PAGE_SIZE = 100;
+
+/** Concatenate includes.Entry / includes.Asset arrays, keeping the first copy of each sys.id. */
+function mergeIncludes(target, includes) {
+  for (const type of ['Entry', 'Asset']) {
+    const list = (includes && includes[type]) || [];
+    if (!list.length) continue;
+    const existing = target[type] || (target[type] = []);
+    const ids = new Set(existing.map((e) => e.sys && e.sys.id));
+    for (const e of list) {
+      const id = e.sys && e.sys.id;
+      if (ids.has(id)) continue;
+      ids.add(id);
+      existing.push(e);
+    }
+  }
+  return target;
 }
 
-function footer() {
-  return `  <footer class="site-footer">
-    <div class="container footer-content">
-      <div class="footer-brand">
-        <div class="logo-circle-frame">
-          <img src="/assets/img/logo-footer.webp" loading="lazy" alt="TheSEOPilot Logo" class="footer-logo" />
-        </div>
-        <div>
-          <div class="nav-logo">The<span class="logo-accent">SEO</span>Pilot</div>
-          <p>Your SEO Growth Partner.</p>
-        </div>
-      </div>
-      <div class="footer-links">
-        <h5>Legal</h5>
-        <ul>
-          <li><a href="/privacy/">Privacy</a></li>
-          <li><a href="/terms/">Terms</a></li>
-        </ul>
-      </div>
-    </div>
-  </footer>
-  <div class="copyright">
-    <p>&copy; 2025 TheSEOPilot. All rights reserved.</p>
-  </div>`;
+/**
+ * Fetch every entry matching `query` (e.g. "content_type=x&order=...") by paging with limit/skip.
+ * Returns one response-shaped object whose includes are merged across pages, so resolveEntry /
+ * resolveAsset can find links from any page.
+ */
+async function fetchAllEntries(query) {
+  const items = [];
+  const includes = {};
+  let total = Infinity;
+  for (let skip = 0; skip < total; skip += PAGE_SIZE) {
+    const page = await fetchContentful(`/entries?${query}&limit=${PAGE_SIZE}&skip=${skip}`);
+    const pageItems = page.items || [];
+    items.push(...pageItems);
+    mergeIncludes(includes, page.includes);
+    total = typeof page.total === 'number' ? page.total : 0;
+    if (!pageItems.length) break;
+  }
+  return { items, includes, total: items.length };
 }
 
-function gtmHead() {
-  return `  <!-- Google Tag Manager -->
-  <script>(function(w,d,s,l,i){w[l]=w[l]||[];w[l].push({'gtm.start':
-  new Date().getTime(),event:'gtm.js'});var f=d.getElementsByTagName(s)[0],
-  j=d.createElement(s),dl=l!='dataLayer'?'&l='+l:'';j.async=true;j.src=
-  'https://www.googletagmanager.com/gtm.js?id='+i+dl;f.parentNode.insertBefore(j,f);
-  })(window,document,'script','dataLayer','GTM-5ZTWCD2L');</script>
-  <!-- End Google Tag Manager -->`;
+/**
+ * All space locales from /locales. Localizing needs every code, even those CONTENTFUL_LOCALES leaves
+ * out, to tell locale maps from other field values (see generatedLocaleCodes for what is generated).
+ * Returns [] if the endpoint fails, which leaves responses unlocalized (first locale wins).
+ */
+async function fetchLocales() {
+  try {
+    return (await fetchContentful('/locales')).items || [];
+  } catch (e) {
+    console.warn(`Could not fetch Contentful locales (${e.message}). Generating a single locale.`);
+    return [];
+  }
 }
 
-function gtmBody() {
-  return `  <!-- Google Tag Manager (noscript) -->
-  <noscript><iframe src="https://www.googletagmanager.com/ns.html?id=GTM-5ZTWCD2L"
-  height="0" width="0" style="display:none;visibility:hidden"></iframe></noscript>
-  <!-- End Google Tag Manager (noscript) -->`;
+/** Codes of the locales to generate pages for: all space locales, or those in CONTENTFUL_LOCALES (comma-separated). */
+function generatedLocaleCodes(locales) {
+  const only = env('CONTENTFUL_LOCALES').split(',').map((s) => s.trim()).filter(Boolean);
+  // The default locale is always kept: it is the fallback and owns the unprefixed URLs.
+  return locales.filter((l) => l.default || !only.length || only.includes(l.code)).map((l) => l.code);
 }
 
-/** Safe JSON for embedding in script tag (escapes </script>) */
-function safeSchemaJson(obj) {
-  const s = JSON.stringify(obj);
-  return s.replace(/<\//g, '<\\/');
+/** Contentful tag names by id (for topic archive titles); {} if the endpoint fails. */
+async function fetchTags() {
+  try {
+    const tags = (await fetchContentful('/tags?limit=1000')).items || [];
+    return Object.fromEntries(tags.map((t) => [t.sys.id, t.name]));
+  } catch (_) {
+    return {};
+  }
 }
 
-function baseHead(title, description, canonical, opts = {}) {
-  const ogTitle = opts.ogTitle || title;
-  const ogDesc = (opts.ogDescription || description).slice(0, 200);
-  const ogBlock = `  <meta property="og:title" content="${escapeAttr(ogTitle)}" />
-  <meta property="og:description" content="${escapeAttr(ogDesc)}" />
-  <meta property="og:url" content="${escapeAttr(canonical)}" />
-  <meta property="og:type" content="${opts.ogType || 'website'}" />${opts.ogImage ? `
-  <meta property="og:image" content="${escapeAttr(opts.ogImage)}" />
-  <meta name="twitter:card" content="summary_large_image" />
-  <meta name="twitter:image" content="${escapeAttr(opts.ogImage)}" />` : `
-  <meta name="twitter:card" content="summary" />`}
-  <meta name="twitter:title" content="${escapeAttr(ogTitle)}" />
-  <meta name="twitter:description" content="${escapeAttr(ogDesc)}" />`;
-  const schemaJson = opts.schemaJson ? `  <script type="application/ld+json">${typeof opts.schemaJson === 'string' ? opts.schemaJson : safeSchemaJson(opts.schemaJson)}</script>` : '';
-  // Robots meta: noindex/nofollow from SEO component
-  const robotsParts = [];
-  if (opts.noindex) robotsParts.push('noindex');
-  if (opts.nofollow) robotsParts.push('nofollow');
-  const robotsMeta = robotsParts.length ? `\n  <meta name="robots" content="${robotsParts.join(', ')}" />` : '';
-  return `  <meta charset="UTF-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-  <title>${escapeHtml(title)}</title>
-  <meta name="description" content="${escapeHtml(description)}" />${robotsMeta}
-  <link rel="icon" href="/assets/img/favicon.ico" type="image/x-icon" />
-  <link rel="stylesheet" href="/style.css" />
-  <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;600&family=Playfair+Display:wght@700&display=swap" rel="stylesheet" />
-  <link rel="canonical" href="${escapeHtml(canonical)}" />
-${ogBlock}${schemaJson ? '\n' + schemaJson : ''}
-  <script defer src="/script.js"></script>`;
+/** Output index.html path for a URL path such as /resources/blog/de/my-post/ */
+function outputFileFor(urlPath) {
+  const segments = urlPath.split('/').filter(Boolean).map(decodeURIComponent);
+  return path.join(ROOT, ...segments, 'index.html');
 }
 
-async function fetchContentful(endpoint) {
-  const space = env('CONTENTFUL_SPACE_ID');
-  const token = env('CONTENTFUL_ACCESS_TOKEN');
-  const url = `https://cdn.contentful.com/spaces/${space}/environments/master${endpoint}`;
-  const res = await fetch(url, {
-    headers: { Authorization: `Bearer ${token}` },
-  });
-  if (!res.ok) throw new Error(`Contentful ${res.status}: ${await res.text()}`);
-  return res.json();
+/** Pretty-printed JSON file (content API). */
+function writeJson(filePath, obj, deps) {
+  writeFile(filePath, JSON.stringify(obj, null, 2) + '\n', deps);
+}
+
+function writeFile(filePath, content, deps) {
+  if (assetHost && typeof content === 'string' && assetHost.collect(content)) {
+    pendingWrites.push([filePath, content, deps]);
+    return;
+  }
+  writeOutput(filePath, content, deps);
 }
 
-function writeFile(filePath, content) {
+/** Download the assets of held-back writes, then write them with URLs pointing at the copies. */
+async function flushPendingWrites() {
+  await assetHost.downloadAll();
+  for (const [filePath, content, deps] of pendingWrites.splice(0)) {
+    // Feeds and the JSON API are read off-site: asset URLs stay absolute
+    const assetDeps = deps && { ...deps, '#assets': sha1(assetHost.resolved(content)) };
+    writeOutput(filePath, assetHost.rewrite(content, { absolute: !filePath.endsWith('.html') }), assetDeps);
+  }
+  assetHost.save();
+}
+
+function writeOutput(filePath, content, deps) {
+  if (build) {
+    build.write(filePath, content, deps);
+    return;
+  }
   const dir = path.dirname(filePath);
   fs.mkdirSync(dir, { recursive: true });
   fs.writeFileSync(filePath, content, 'utf8');
 }
 
-function resolveSeoRef(entry, includes, items = []) {
-  const f = entry.fields || {};
-  const ref = unwrap(f.seoFields) || unwrap(f.seo);
-  const id = ref && ref.sys && ref.sys.id;
-  return id ? resolveEntry(id, includes, items) : null;
+/**
+ * Generated social card for a post without images (og-card.js). Not re-rendered while the
+ * post and its author are unchanged. Returns false if cards can't be rendered here.
+ */
+async function writeOgCard(filePath, post, deps) {
+  if (build && build.keep(filePath, deps)) return true;
+  const png = await renderOgCard(post);
+  if (!png) return false;
+  writeFile(filePath, png, deps);
+  return true;
+}
+
+/**
+ * Fingerprint of everything besides entry data that affects output: generator source,
+ * space locales, content model env vars and output modes (self-hosted assets). A change
+ * invalidates the whole manifest.
+ */
+function buildFingerprint(locales, modes = {}) {
+  const sources = fs.readdirSync(__dirname)
+    .filter((n) => n.endsWith('.js'))
+    .sort()
+    .map((n) => fs.readFileSync(path.join(__dirname, n), 'utf8'));
+  const config = Object.keys(process.env)
+    // Credentials and run modes (sync, debug logging) don't change what is rendered
+    .filter((k) => k.startsWith('CONTENTFUL_') && !/TOKEN|SYNC|CDN_BASE|DEBUG/.test(k))
+    .sort()
+    .map((k) => `${k}=${process.env[k]}`);
+  return sha1(JSON.stringify({ sources, config, locales, modes }));
 }
 
-function resolveAuthorRef(entry, includes, items = []) {
-  const f = entry.fields || {};
-  const ref = unwrap(f.author);
-  const id = ref && ref.sys && ref.sys.id;
-  return id ? resolveEntry(id, includes, items) : null;
+/** Latest of the given ISO dates as YYYY-MM-DD (sitemap lastmod), or '' if none parse. */
+function sitemapDate(...dates) {
+  const times = dates.map((d) => (d ? new Date(d).getTime() : NaN)).filter((t) => !isNaN(t));
+  if (!times.length) return '';
+  return new Date(Math.max(...times)).toISOString().slice(0, 10);
 }
 
-async function generateBlog(data) {
-  const listing = data.items || [];
-  const includes = data.includes || {};
+/**
+ * Sitemap entry for a generated page, or null when it must be left out:
+ * noindex pages, and pages whose canonical points off-site (syndicated content).
+ */
+function sitemapEntry(canonical, seo, lastmod, changefreq, priority) {
+  if (seo.noindex) return null;
+  if (!canonical || !canonical.startsWith(BASE + '/')) return null;
+  return { loc: canonical, lastmod, changefreq, priority };
+}
+
+function generateSitemap(entries) {
+  const seen = new Set();
+  const urls = [...STATIC_SITEMAP_PAGES, ...entries]
+    .filter((e) => e && !seen.has(e.loc) && seen.add(e.loc))
+    .map((e) => `  <url>
+    <loc>${escapeHtml(e.loc)}</loc>${e.lastmod ? `
+    <lastmod>${e.lastmod}</lastmod>` : ''}
+    <changefreq>${e.changefreq}</changefreq>
+    <priority>${e.priority}</priority>
+  </url>`)
+    .join('\n');
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls}
+</urlset>
+`;
+  writeFile(path.join(ROOT, 'sitemap.xml'), xml);
+  return seen.size;
+}
+
+/** Profile block above an author's post list. */
+function authorProfileHtml(author) {
+  const links = author.sameAs.map((u) => {
+    let label = u;
+    try {
+      label = new URL(u).hostname.replace(/^www\./, '');
+    } catch (_) {}
+    return `<a href="${escapeAttr(u)}" rel="me noopener" target="_blank">${escapeHtml(label)}</a>`;
+  });
+  return `
+    <section class="author-profile container">
+      ${responsiveImageHtml(author.avatarImage, { alt: author.name, className: 'author-profile-avatar', displayWidth: 96, loading: 'eager' })}
+      <div>
+        ${author.bio ? `<p class="author-profile-bio">${escapeHtml(author.bio)}</p>` : ''}
+        ${links.length ? `<p class="author-profile-links">${links.join(' ')}</p>` : ''}
+      </div>
+    </section>`;
+}
+
+/** Meta description of an author page: the bio, cut at a word to about 160 characters, or a default. */
+function authorDescription(author) {
+  const bio = String(author.bio || '').replace(/\s+/g, ' ').trim();
+  if (!bio) return `Articles by ${author.name} on SEO and Generative Engine Optimization.`;
+  if (bio.length <= 160) return bio;
+  return bio.slice(0, 159).replace(/\s+\S*$/, '') + '…';
+}
+
+/** ProfilePage + Person JSON-LD for an author page. */
+function authorSchema(author) {
+  const url = BASE + authorPath(author);
+  const avatar = author.avatarUrl && author.avatarUrl.startsWith('//') ? 'https:' + author.avatarUrl : author.avatarUrl;
+  return {
+    '@context': 'https://schema.org',
+    '@graph': [
+      {
+        '@type': 'ProfilePage',
+        url,
+        mainEntity: {
+          '@type': 'Person',
+          '@id': url + '#person',
+          name: author.name,
+          url,
+          ...(avatar && { image: avatar }),
+          ...(author.roleCompany && { jobTitle: author.roleCompany }),
+          ...(author.bio && { description: author.bio }),
+          ...(author.sameAs.length && { sameAs: author.sameAs }),
+        },
+      },
+      {
+        '@type': 'BreadcrumbList',
+        itemListElement: [
+          { '@type': 'ListItem', position: 1, name: 'Home', item: BASE + '/' },
+          { '@type': 'ListItem', position: 2, name: 'Resources', item: BASE + '/resources/' },
+          { '@type': 'ListItem', position: 3, name: 'Blog', item: BASE + '/resources/blog/' },
+          { '@type': 'ListItem', position: 4, name: author.name, item: url },
+        ],
+      },
+    ],
+  };
+}
 
-  const listHtml = listing
-    .map((it) => {
-      const f = it.fields || {};
-      const slug = unwrap(f.slug) || it.sys?.id || 'post';
-      const title = unwrap(f.title) || 'Untitled';
-      const subtitle = unwrap(f.subtitle) || '';
-      const href = `/resources/blog/${encodeURIComponent(slug)}/`;
-      return `
+/** URL path of page n of a listing whose first page is basePath. */
+function listingPagePath(basePath, n) {
+  return n > 1 ? `${basePath}page/${n}/` : basePath;
+}
+
+function blogCard(it, topics, reading) {
+  const f = it.fields || {};
+  const slug = unwrap(f.slug) || it.sys?.id || 'post';
+  const title = unwrap(f.title) || 'Untitled';
+  const subtitle = unwrap(f.subtitle) || '';
+  const href = `/resources/blog/${encodeURIComponent(slug)}/`;
+  return `
       <article>
-        <h2><a href="${href}">${escapeHtml(title)}</a></h2>
-        <p>${escapeHtml(subtitle)}</p>
+        <h2><a href="${href}">${escapeHtml(title)}</a></h2>${reading && reading.readingMinutes ? `
+        <p class="blog-card-meta">${readingTimeLabel(reading)}</p>` : ''}
+        <p>${escapeHtml(subtitle)}</p>${topics.length ? `
+        <p class="blog-card-tags">${topicLinks(topics)}</p>` : ''}
         <a href="${href}">Read more →</a>
       </article>`;
-    })
-    .join('\n');
+}
 
-  const blogIndex = `<!DOCTYPE html>
+/** Newer / older page links and "Page n of N" under a paginated listing ('' for a single page). */
+function paginationNav(basePath, n, totalPages) {
+  if (totalPages < 2) return '';
+  const prev = n > 1 ? `<a href="${listingPagePath(basePath, n - 1)}" rel="prev">← Newer posts</a>` : '<span></span>';
+  const next = n < totalPages ? `<a href="${listingPagePath(basePath, n + 1)}" rel="next">Older posts →</a>` : '<span></span>';
+  return `
+    <nav class="blog-pagination container" aria-label="Pagination">
+      ${prev}
+      <span class="blog-pagination-status">Page ${n} of ${totalPages}</span>
+      ${next}
+    </nav>`;
+}
+
+/**
+ * Write a paginated post listing (the blog index or a topic archive): basePath for page 1,
+ * basePath + page/{n}/ after that, each with its own canonical and rel="prev"/"next".
+ * @param {object} opts
+ * @param {{ it: object, topics: object[] }[]} opts.posts - Posts in display order
+ * @param {string} opts.basePath - e.g. /resources/blog/
+ * @param {{ name: string, href?: string }[]} opts.crumbs - Breadcrumb trail after Home / Resources
+ * @param {object} [opts.schemaJson] - JSON-LD for the first page
+ * @returns {object[]} Sitemap entries, one per page
+ */
+function writeBlogListing({ posts, basePath, title, description, heading, intro, crumbs, emptyHtml, asideHtml = '', schemaJson, includes, items, priority }) {
+  const totalPages = Math.max(1, Math.ceil(posts.length / BLOG_PAGE_SIZE));
+  const entries = [];
+  for (let n = 1; n <= totalPages; n++) {
+    const pagePosts = posts.slice((n - 1) * BLOG_PAGE_SIZE, n * BLOG_PAGE_SIZE);
+    const urlPath = listingPagePath(basePath, n);
+    const headOpts = {};
+    if (n > 1) headOpts.prev = BASE + listingPagePath(basePath, n - 1);
+    if (n < totalPages) headOpts.next = BASE + listingPagePath(basePath, n + 1);
+    if (schemaJson && n === 1) headOpts.schemaJson = schemaJson;
+    const pageSuffix = n > 1 ? ` — Page ${n}` : '';
+    // Later pages get their own description (page number first, so it survives snippet truncation)
+    const pageDescription = n > 1 ? `Page ${n} of ${totalPages}. ${description}` : description;
+    const trail = n > 1 ? [...crumbs.slice(0, -1), { ...crumbs[crumbs.length - 1], href: basePath }, { name: `Page ${n}` }] : crumbs;
+    const crumbHtml = trail.map((c) => (c.href ? `<a href="${c.href}">${escapeHtml(c.name)}</a>` : escapeHtml(c.name))).join(' / ');
+    const listHtml = pagePosts.map((p) => blogCard(p.it, p.topics, p.reading)).join('\n');
+
+    const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
 ${gtmHead()}
-${baseHead('Blog — SEO & GEO Insights | TheSEOPilot', 'SEO and Generative Engine Optimization insights. How to rank, get cited by AI, and grow organic visibility.', BASE + '/resources/blog/')}
+${baseHead(title + pageSuffix + ' | TheSEOPilot', pageDescription, BASE + urlPath, headOpts)}
 </head>
 <body>
 ${gtmBody()}
 ${header()}
   <main>
     <nav class="breadcrumb" aria-label="Breadcrumb">
-      <a href="/">Home</a> / <a href="/resources/">Resources</a> / Blog
+      <a href="/">Home</a> / <a href="/resources/">Resources</a> / ${crumbHtml}
     </nav>
     <section class="page-hero">
       <div class="container">
-        <h1>SEO & AI Visibility Insights</h1>
-        <p>Practical guides on search visibility, Generative Engine Optimization, and content that ranks—and gets cited.</p>
+        <h1>${escapeHtml(heading)}${escapeHtml(pageSuffix)}</h1>
+        <p>${escapeHtml(intro)}</p>
       </div>
-    </section>
+    </section>${n === 1 ? asideHtml : ''}
     <div id="blogList" class="blog-list container">
-      ${listHtml || `<p style="text-align:center;color:var(--muted);">No posts yet. Add <strong>Page – Blog Post</strong> entries in Contentful (content type: ${BLOG_CT}).</p>`}
-    </div>
+      ${listHtml || emptyHtml}
+    </div>${paginationNav(basePath, n, totalPages)}
   </main>
 ${footer()}
 </body>
 </html>`;
 
-  writeFile(path.join(ROOT, 'resources', 'blog', 'index.html'), blogIndex);
+    const pageItems = pagePosts.map((p) => p.it);
+    // Page position, topic names and the aside (e.g. all topics, ordered by post count) are part of the
+    // output too, not only the listed entries
+    const deps = {
+      ...collectDependencies(pageItems, includes, items),
+      '#page': `${n}/${totalPages}`,
+      '#topics': pagePosts.map((p) => p.topics.map((t) => t.name).join(',')).join('|'),
+      ...(n === 1 && asideHtml && { '#aside': sha1(asideHtml) }),
+    };
+    writeFile(outputFileFor(urlPath), html, deps);
+    const lastmod = sitemapDate(...pageItems.map((it) => unwrap((it.fields || {}).publishedDate)), ...pageItems.map((it) => it.sys?.updatedAt));
+    entries.push({ loc: BASE + urlPath, lastmod, changefreq: 'weekly', priority: n === 1 ? priority : '0.60' });
+  }
+  return entries;
+}
 
-  const apiItems = data.items || [];
-  for (const it of listing) {
-    const f = it.fields || {};
-    const slug = unwrap(f.slug) || it.sys?.id || 'post';
-    const title = unwrap(f.title) || 'Untitled';
-    const subtitle = unwrap(f.subtitle) || '';
-    const contentFieldIds = (process.env.CONTENTFUL_CONTENT_FIELD || 'content,body,mainContent,main_content').split(',').map((s) => s.trim()).filter(Boolean);
-    let contentRich = null;
-    for (const fid of contentFieldIds) {
-      const val = unwrap(f[fid]);
-      if (val && typeof val === 'object' && (val.nodeType === 'document' || Array.isArray(val.content))) {
-        contentRich = val;
-        break;
-      }
+async function generateBlog(rawData, locales = [], tagNames = {}) {
+  const defLocale = defaultLocale(locales);
+  const data = localizeResponse(rawData, defLocale, locales);
+  const listing = data.items || [];
+  const includes = data.includes || {};
+  const fieldIds = contentFieldIds();
+  const posts = listing.map((it) => ({
+    it,
+    topics: blogTopics(it, tagNames),
+    reading: readingStats(fieldToText(richTextField(it, fieldIds))),
+  }));
+
+  // Topic archives, most used first
+  const topics = new Map();
+  for (const p of posts) {
+    for (const t of p.topics) {
+      if (!topics.has(t.slug)) topics.set(t.slug, { ...t, posts: [] });
+      topics.get(t.slug).posts.push(p);
     }
-    const bodyRichText = contentRich && contentRich.content ? richTextToHtml(contentRich, includes, apiItems) : '';
-
-    // Render content blocks from contentBlocks reference field (CTA blocks, rich content blocks, etc.)
-    const contentBlocksFieldIds = (process.env.CONTENTFUL_CONTENT_BLOCKS_FIELD || 'contentBlocks,content_blocks,blocks').split(',').map((s) => s.trim()).filter(Boolean);
-    let contentBlocksRefs = null;
-    for (const fid of contentBlocksFieldIds) {
-      const val = unwrap(f[fid]);
-      if (Array.isArray(val) && val.length > 0) {
-        contentBlocksRefs = val;
-        break;
-      }
+  }
+  const topicList = [...topics.values()].sort((a, b) => b.posts.length - a.posts.length || a.name.localeCompare(b.name));
+  const topicsNav = topicList.length
+    ? `
+    <nav class="blog-topics container" aria-label="Topics">
+      <span>Browse by topic:</span> ${topicLinks(topicList)}
+    </nav>`
+    : '';
+
+  const listingSitemap = writeBlogListing({
+    posts,
+    basePath: '/resources/blog/',
+    title: 'Blog — SEO & GEO Insights',
+    description: 'SEO and Generative Engine Optimization insights. How to rank, get cited by AI, and grow organic visibility.',
+    heading: 'SEO & AI Visibility Insights',
+    intro: 'Practical guides on search visibility, Generative Engine Optimization, and content that ranks—and gets cited.',
+    crumbs: [{ name: 'Blog' }],
+    emptyHtml: `<p style="text-align:center;color:var(--muted);">No posts yet. Add <strong>Page – Blog Post</strong> entries in Contentful (content type: ${BLOG_CT}).</p>`,
+    asideHtml: topicsNav,
+    includes,
+    items: listing,
+    priority: '0.85',
+  });
+  for (const topic of topicList) {
+    listingSitemap.push(...writeBlogListing({
+      posts: topic.posts,
+      basePath: topicPath(topic),
+      title: `${topic.name} — Blog`,
+      description: `Articles about ${topic.name} from TheSEOPilot: SEO and Generative Engine Optimization insights.`,
+      heading: topic.name,
+      intro: `${topic.posts.length} article${topic.posts.length === 1 ? '' : 's'} about ${topic.name}.`,
+      crumbs: [{ name: 'Blog', href: '/resources/blog/' }, { name: topic.name }],
+      emptyHtml: '',
+      includes,
+      items: listing,
+      priority: '0.60',
+    }));
+  }
+
+  // Author pages, grouped by author slug
+  const authors = new Map();
+  for (const p of posts) {
+    const author = getAuthor(resolveAuthorRef(p.it, includes, listing), includes);
+    if (!author || !author.slug) continue;
+    if (!authors.has(author.slug)) authors.set(author.slug, { author, posts: [] });
+    authors.get(author.slug).posts.push(p);
+  }
+  for (const { author, posts: authorPosts } of authors.values()) {
+    listingSitemap.push(...writeBlogListing({
+      posts: authorPosts,
+      basePath: authorPath(author),
+      title: `${author.name} — Author`,
+      description: authorDescription(author),
+      heading: author.name,
+      intro: author.roleCompany || `Articles by ${author.name}.`,
+      crumbs: [{ name: 'Blog', href: '/resources/blog/' }, { name: author.name }],
+      emptyHtml: '',
+      asideHtml: authorProfileHtml(author),
+      schemaJson: authorSchema(author),
+      includes,
+      items: listing,
+      priority: '0.50',
+    }));
+  }
+
+  // One page per post per locale: the default locale always, other locales only when the
+  // entry has its own title or content there (fields without a translation fall back).
+  const pages = [];
+  const urlsByEntry = new Map();
+  for (const locale of locales.length ? generatedLocaleCodes(locales) : [defLocale]) {
+    const isDefault = locale === defLocale;
+    const view = isDefault ? data : localizeResponse(rawData, locale, locales);
+    (view.items || []).forEach((it, i) => {
+      const raw = (rawData.items || [])[i];
+      if (!isDefault && !hasLocaleContent(raw, locale, ['title', ...fieldIds])) return;
+      const slug = unwrap((it.fields || {}).slug) || it.sys?.id || 'post';
+      const urlPath = blogPostPath(slug, locale, isDefault);
+      const id = it.sys?.id || slug;
+      if (!urlsByEntry.has(id)) urlsByEntry.set(id, []);
+      urlsByEntry.get(id).push({ hreflang: locale, href: BASE + urlPath });
+      pages.push({ it, id, slug, locale, urlPath, includes: view.includes || {}, apiItems: view.items || [] });
+    });
+  }
+
+  // Related articles and chronological previous/next, in the -fields.publishedDate order of the fetch.
+  // noindex posts get links but are not linked to.
+  const postInfo = posts.map((p) => ({
+    id: p.it.sys?.id || unwrap((p.it.fields || {}).slug),
+    topics: p.topics.map((t) => t.slug),
+    authorId: resolveAuthorRef(p.it, includes, listing)?.sys?.id || '',
+    text: fieldToText(richTextField(p.it, fieldIds)),
+    noindex: !!getSeo(resolveSeoRef(p.it, includes, listing), includes).noindex,
+  }));
+  const relatedById = relatedPosts(postInfo, RELATED_LIMIT);
+  const pageByKey = new Map(pages.map((p) => [`${p.id}|${p.locale}`, p]));
+  // The entry's page in this locale, else its default-locale page
+  const postLink = (id, locale) => {
+    const p = pageByKey.get(`${id}|${locale}`) || pageByKey.get(`${id}|${defLocale}`);
+    const f = p ? p.it.fields || {} : {};
+    return p ? { title: unwrap(f.title) || 'Untitled', subtitle: unwrap(f.subtitle) || '', url: p.urlPath } : null;
+  };
+  const adjacent = (id, step) => {
+    for (let i = postInfo.findIndex((p) => p.id === id) + step; i >= 0 && i < postInfo.length; i += step) {
+      if (!postInfo[i].noindex) return postInfo[i].id;
     }
-    const contentBlocksHtml = contentBlocksRefs ? renderContentBlocks(contentBlocksRefs, includes, apiItems) : '';
+    return null;
+  };
 
-    // Combine: rich text content first, then content blocks
-    const body = [bodyRichText, contentBlocksHtml].filter(Boolean).join('\n');
+  const sitemap = [];
+  const feedItems = [];
+  const apiIndex = [];
+  for (const { it, id, slug, locale, urlPath, includes, apiItems } of pages) {
+    const view = buildPostView(it, includes, apiItems);
+    const { title, excerpt: subtitle, body, seo, author, faqs: faqPairs } = view;
+    const canonical = seo.canonicalUrl || BASE + urlPath;
 
     if (process.env.CONTENTFUL_DEBUG && !body) {
-      const fieldKeys = Object.keys(f);
+      const fieldKeys = Object.keys(it.fields || {});
       console.warn(`[Contentful] Blog "${title}" (${slug}): no content rendered. Fields on entry: ${fieldKeys.join(', ')}. Check that "content" (or body/mainContent) Rich Text has content and is published.`);
     }
 
-    const seoEntry = resolveSeoRef(it, includes, apiItems);
-    const seo = getSeo(seoEntry, includes);
-    const seoTitle = seo.pageTitle || title;
-    const seoDescription = seo.pageDescription || subtitle;
-    const canonical = seo.canonicalUrl || `${BASE}/resources/blog/${encodeURIComponent(slug)}/`;
-    const seoShareImage = (seo.shareImages && seo.shareImages[0]) || '';
-
-    const authorEntry = resolveAuthorRef(it, includes, apiItems);
-    const author = getAuthor(authorEntry, includes);
-    const authorHtml = author
-      ? `<div class="blog-author"><div class="blog-author-inner">${author.avatarUrl ? `<img src="${escapeAttr(author.avatarUrl)}" alt="" class="blog-author-avatar" loading="lazy" />` : ''}<div><span class="blog-author-name">${escapeHtml(author.name)}</span>${author.roleCompany ? `<span class="blog-author-role">${escapeHtml(author.roleCompany)}</span>` : ''}${author.bio ? `<p class="blog-author-bio">${escapeHtml(author.bio)}</p>` : ''}</div></div></div>`
-      : '';
-
-    const featuredImageUrl = getFeaturedImageUrl(it, includes);
-    const featuredImageAbsolute = featuredImageUrl ? (featuredImageUrl.startsWith('//') ? 'https:' + featuredImageUrl : featuredImageUrl) : '';
-
-    const publishedDateRaw = unwrap(f.publishedDate) || '';
-    const publishedDateFormatted = formatPublishedDate(publishedDateRaw);
-    const publishedDateHtml = publishedDateFormatted ? `<time class="blog-published-date" datetime="${escapeAttr(publishedDateRaw)}">${escapeHtml(publishedDateFormatted)}</time>` : '';
-
-    const faqsFieldIds = (process.env.CONTENTFUL_FAQS_FIELD || 'faqs').split(',').map((s) => s.trim()).filter(Boolean);
-    let faqsRich = null;
-    for (const fid of faqsFieldIds) {
-      const val = unwrap(f[fid]);
-      if (val && val.content && Array.isArray(val.content) && val.content.length > 0) {
-        faqsRich = val;
-        break;
-      }
+    // Image priority: featuredImage > seoComponent shareImages[0] > generated card (og.png next to the post)
+    let ogImageUrl = view.featuredImageUrl || view.shareImageUrl;
+    if (!ogImageUrl) {
+      const cardFile = path.join(path.dirname(outputFileFor(urlPath)), 'og.png');
+      if (await writeOgCard(cardFile, { title, author }, collectDependencies(it, includes, apiItems))) ogImageUrl = BASE + urlPath + 'og.png';
     }
-    const faqsHtml = faqsRich && faqsRich.content && faqsRich.content.length
-      ? `<section class="blog-faqs" aria-labelledby="faqs-heading"><h2 id="faqs-heading" class="faqs-heading">Frequently Asked Questions</h2><div class="faq-content blog-content">${richTextToHtml(faqsRich, includes, apiItems)}</div></section>`
-      : '';
-
-    // Extract FAQ pairs for FAQPage schema
-    const faqPairs = faqsRich ? extractFaqPairs(faqsRich) : [];
-    const faqSchema = buildFaqSchema(faqPairs);
-
-    const headOpts = { ogType: 'article' };
-    // Image priority: featuredImage > seoComponent shareImages[0]
-    const ogImageUrl = featuredImageAbsolute || seoShareImage;
-    if (ogImageUrl) headOpts.ogImage = ogImageUrl;
-    // Robots directives from SEO component
-    if (seo.noindex) headOpts.noindex = true;
-    if (seo.nofollow) headOpts.nofollow = true;
-
-    const schemaGraph = [
-      {
-        '@type': 'Article',
-        headline: title,
-        description: seoDescription,
+
+    const postTopics = blogTopics(it, tagNames);
+    const related = (relatedById.get(id) || []).map((rid) => postLink(rid, locale)).filter(Boolean);
+    const olderId = adjacent(id, 1);
+    const newerId = adjacent(id, -1);
+    const older = olderId ? postLink(olderId, locale) : null;
+    const newer = newerId ? postLink(newerId, locale) : null;
+
+    const postHtml = postPageHtml(view, {
+      locale,
+      canonical,
+      ogImageUrl,
+      alternates: hreflangAlternates(urlsByEntry.get(id) || [], defLocale),
+      topics: postTopics,
+      related,
+      older,
+      newer,
+    });
+
+    if (locale === defLocale && !seo.noindex) {
+      searchDocs.push({
+        title,
+        url: urlPath,
+        summary: subtitle,
+        kind: 'post',
+        fields: {
+          title,
+          subtitle,
+          topics: postTopics.map((t) => t.name).join(' '),
+          faq: faqPairs.map((p) => `${p.question} ${p.answer}`).join(' '),
+          body: view.text,
+        },
+      });
+    }
+
+    if (locale === defLocale && !seo.noindex && feedItems.length < FEED_LIMIT) {
+      feedItems.push({
+        title,
+        subtitle,
         url: canonical,
-        datePublished: publishedDateRaw || undefined,
-        dateModified: publishedDateRaw || undefined,
-        author: author ? { '@type': 'Person', name: author.name } : { '@type': 'Organization', name: 'TheSEOPilot' },
-        publisher: { '@type': 'Organization', name: 'TheSEOPilot', logo: { '@type': 'ImageObject', url: BASE + '/assets/img/logo-footer.webp' } },
-        ...(ogImageUrl && { image: ogImageUrl }),
-      },
-      {
-        '@type': 'BreadcrumbList',
-        itemListElement: [
-          { '@type': 'ListItem', position: 1, name: 'Home', item: BASE + '/' },
-          { '@type': 'ListItem', position: 2, name: 'Resources', item: BASE + '/resources/' },
-          { '@type': 'ListItem', position: 3, name: 'Blog', item: BASE + '/resources/blog/' },
-          { '@type': 'ListItem', position: 4, name: title, item: canonical },
-        ],
-      },
-    ];
-    // Add FAQPage schema if FAQ pairs exist
-    if (faqSchema) {
-      schemaGraph.push(faqSchema);
+        published: view.publishDate,
+        updated: it.sys?.updatedAt,
+        authorName: author ? author.name : '',
+        imageUrl: view.featuredImageUrl,
+        html: body,
+      });
     }
-    const articleSchema = {
-      '@context': 'https://schema.org',
-      '@graph': schemaGraph,
+
+    const deps = collectDependencies(it, includes, apiItems);
+    if (postTopics.length) deps['#topics'] = postTopics.map((t) => t.name).join(',');
+    // Links to other posts change with their titles and the set of published posts
+    deps['#links'] = JSON.stringify([related, older, newer]);
+    writeFile(outputFileFor(urlPath), postHtml, deps);
+
+    // JSON content API: the Preview API `post` object plus URL, topics and links to other posts
+    const json = {
+      ...postJson(view, locale),
+      url: BASE + urlPath,
+      canonical,
+      updatedAt: it.sys?.updatedAt || '',
+      topics: postTopics,
+      related: related.map(({ title: t, url }) => ({ title: t, url: BASE + url })),
+      previous: older ? { title: older.title, url: BASE + older.url } : null,
+      next: newer ? { title: newer.title, url: BASE + newer.url } : null,
     };
-    headOpts.schemaJson = articleSchema;
+    writeJson(path.join(path.dirname(outputFileFor(urlPath)), 'index.json'), json, deps);
+    if (locale === defLocale) {
+      const { body: _body, tocHtml: _tocHtml, faqsHtml: _faqsHtml, faqs: _faqs, authorHtml: _authorHtml, featuredImageHtml: _featuredImageHtml, ...summary } = json;
+      apiIndex.push({ ...summary, json: BASE + urlPath + 'index.json' });
+    }
 
-    const metaRow = [publishedDateHtml, authorHtml].filter(Boolean).join('');
+    sitemap.push(sitemapEntry(canonical, seo, sitemapDate(view.publishDate, it.sys?.updatedAt), 'weekly', '0.80'));
+  }
 
-    const postHtml = `<!DOCTYPE html>
-<html lang="en">
-<head>
-${gtmHead()}
-${baseHead(seoTitle + ' | TheSEOPilot', seoDescription, canonical, headOpts)}
-</head>
-<body>
-${gtmBody()}
-${header()}
-  <main class="case-study-page blog-post-page">
-    <nav class="breadcrumb" aria-label="Breadcrumb">
-      <a href="/">Home</a> / <a href="/resources/">Resources</a> / <a href="/resources/blog/">Blog</a> / ${escapeHtml(title)}
-    </nav>
-    <div class="container blog-post-container">
-      <h1 class="blog-post-title">${escapeHtml(title)}</h1>
-      ${subtitle ? `<p class="blog-post-subtitle">${escapeHtml(subtitle)}</p>` : ''}
-      ${featuredImageAbsolute ? `<figure class="blog-featured-image"><img src="${escapeAttr(featuredImageAbsolute)}" alt="${escapeAttr(title)}" loading="eager" /></figure>` : ''}
-      <div class="blog-meta-row">${metaRow}</div>
-      <div class="legal-page blog-content-wrapper">
-        <div class="blog-content">${body || '<p class="blog-content-empty">No content yet.</p>'}</div>
-      </div>
-      ${faqsHtml}
-    </div>
-  </main>
-${footer()}
-</body>
-</html>`;
+  const feedMeta = {
+    title: 'TheSEOPilot Blog — SEO & GEO Insights',
+    description: 'SEO and Generative Engine Optimization insights. How to rank, get cited by AI, and grow organic visibility.',
+    siteUrl: BASE + '/resources/blog/',
+    base: BASE,
+  };
+  writeFile(path.join(ROOT, 'resources', 'blog', 'feed.xml'), buildRss(feedItems, { ...feedMeta, feedUrl: BASE + '/resources/blog/feed.xml' }));
+  writeFile(path.join(ROOT, 'resources', 'blog', 'atom.xml'), buildAtom(feedItems, { ...feedMeta, feedUrl: BASE + '/resources/blog/atom.xml' }));
+  writeFile(path.join(ROOT, 'resources', 'blog', 'feed.json'), buildJsonFeed(feedItems, { ...feedMeta, feedUrl: BASE + '/resources/blog/feed.json' }));
+  writeJson(path.join(ROOT, 'resources', 'blog', 'index.json'), { total: apiIndex.length, posts: apiIndex });
 
-    const outDir = path.join(ROOT, 'resources', 'blog', slug);
-    writeFile(path.join(outDir, 'index.html'), postHtml);
-  }
+  return [...listingSitemap, ...sitemap.filter(Boolean)];
 }
 
-async function generateCaseStudies(data) {
+async function generateCaseStudies(rawData, locales = []) {
+  const data = localizeResponse(rawData, defaultLocale(locales), locales);
   const listing = data.items || [];
   const includes = data.includes || {};
   const cards = [];
+  // ItemList entries for the index JSON-LD, in card order
+  const listItems = [];
 
   const aspora = {
     slug: 'aspora-ai-visibility',
@@ -404,6 +727,7 @@ async function generateCaseStudies(data) {
           <p class="case-study-metric">${escapeHtml(aspora.metric)}</p>
         </a>
       </div>`);
+  listItems.push({ name: aspora.title, url: BASE + '/resources/case-studies/aspora-ai-visibility/' });
 
   for (const it of listing) {
     const f = it.fields || {};
@@ -430,13 +754,35 @@ async function generateCaseStudies(data) {
           <p class="case-study-metric">${escapeHtml(metric)}</p>
         </a>
       </div>`);
+    listItems.push({ name: clientName, url: BASE + href });
   }
 
+  const indexSchema = {
+    '@context': 'https://schema.org',
+    '@graph': [
+      {
+        '@type': 'ItemList',
+        name: 'Case Studies',
+        url: BASE + '/resources/case-studies/',
+        numberOfItems: listItems.length,
+        itemListElement: listItems.map((item, i) => ({ '@type': 'ListItem', position: i + 1, name: item.name, url: item.url })),
+      },
+      {
+        '@type': 'BreadcrumbList',
+        itemListElement: [
+          { '@type': 'ListItem', position: 1, name: 'Home', item: BASE + '/' },
+          { '@type': 'ListItem', position: 2, name: 'Resources', item: BASE + '/resources/' },
+          { '@type': 'ListItem', position: 3, name: 'Case Studies', item: BASE + '/resources/case-studies/' },
+        ],
+      },
+    ],
+  };
+
   const csIndex = `<!DOCTYPE html>
 <html lang="en">
 <head>
 ${gtmHead()}
-${baseHead('Case Studies | TheSEOPilot', 'Real SEO and GEO results. Traffic growth, rankings, and why AI started citing our clients.', BASE + '/resources/case-studies/')}
+${baseHead('Case Studies | TheSEOPilot', 'Real SEO and GEO results. Traffic growth, rankings, and why AI started citing our clients.', BASE + '/resources/case-studies/', { schemaJson: indexSchema })}
 </head>
 <body>
 ${gtmBody()}
@@ -459,66 +805,95 @@ ${footer()}
 </body>
 </html>`;
 
-  writeFile(path.join(ROOT, 'resources', 'case-studies', 'index.html'), csIndex);
+  writeFile(path.join(ROOT, 'resources', 'case-studies', 'index.html'), csIndex, collectDependencies(listing, includes, listing));
 
+  const sitemap = [];
+  const apiIndex = [];
   for (const it of listing) {
-    const f = it.fields || {};
-    const slug = unwrap(f.slug) || it.sys?.id;
+    const view = buildCaseStudyView(it, includes, data.items || []);
+    const { slug, clientName, industry, seo, seoDescription } = view;
     if (!slug) continue;
-    const clientName = unwrap(f.clientName) || 'Case Study';
-    const challenge = unwrap(f.challenge) || '';
-    const strategy = unwrap(f.strategy);
-    const resultsBlocks = unwrap(f.resultsBlocks) || [];
-    const resultsHtml = buildResultsFromResultBlocks(resultsBlocks, includes, data.items || []);
-
-    let strategyHtml = '';
-    if (strategy) {
-      if (typeof strategy === 'object' && strategy.content) {
-        strategyHtml = richTextToHtml(strategy, includes, data.items || []);
-      } else {
-        strategyHtml = escapeHtml(String(strategy));
-      }
+    const canonical = seo.canonicalUrl || BASE + caseStudyPath(slug);
+
+    const outDir = path.join(ROOT, 'resources', 'case-studies', slug);
+    const deps = collectDependencies(it, includes, data.items || []);
+    writeFile(path.join(outDir, 'index.html'), caseStudyPageHtml(view, { canonical, locale: defaultLocale(locales) }), deps);
+
+    const studyJson = {
+      ...caseStudyJson(view),
+      url: BASE + caseStudyPath(slug),
+      canonical,
+      updatedAt: view.updatedAt,
+    };
+    writeJson(path.join(outDir, 'index.json'), studyJson, deps);
+    const { strategyHtml: _strategyHtml, resultsHtml: _resultsHtml, featuredImageHtml: _featuredImageHtml, ...summary } = studyJson;
+    apiIndex.push({ ...summary, json: studyJson.url + 'index.json' });
+    if (!seo.noindex) {
+      searchDocs.push({
+        title: clientName,
+        url: caseStudyPath(slug),
+        summary: seoDescription,
+        kind: 'case-study',
+        fields: { client: clientName, industry, body: [view.challenge, fieldToText(view.strategy)].join(' ') },
+      });
     }
 
-    const seoEntry = resolveSeoRef(it, includes, data.items || []);
-    const seo = getSeo(seoEntry, includes);
-    const seoTitle = seo.pageTitle || clientName;
-    const seoDescription = seo.pageDescription || (challenge ? challenge.replace(/<[^>]+>/g, '').slice(0, 160) + '…' : '');
-    const canonical = seo.canonicalUrl || `${BASE}/resources/case-studies/${encodeURIComponent(slug)}/`;
-    const seoShareImage = (seo.shareImages && seo.shareImages[0]) || '';
+    sitemap.push(sitemapEntry(canonical, seo, sitemapDate(view.publishDate, it.sys?.updatedAt), 'monthly', '0.70'));
+  }
+
+  writeJson(path.join(ROOT, 'resources', 'case-studies', 'index.json'), { total: apiIndex.length, caseStudies: apiIndex });
 
-    const csHeadOpts = {};
-    if (seoShareImage) csHeadOpts.ogImage = seoShareImage;
-    if (seo.noindex) csHeadOpts.noindex = true;
-    if (seo.nofollow) csHeadOpts.nofollow = true;
+  searchDocs.push({
+    title: aspora.title,
+    url: '/resources/case-studies/aspora-ai-visibility/',
+    summary: aspora.metric,
+    kind: 'case-study',
+    fields: { title: aspora.title, client: aspora.client, body: 'AI visibility rankings impressions clicks' },
+  });
+
+  const listed = sitemap.filter(Boolean);
+  const indexLastmod = sitemapDate(...listed.map((e) => e.lastmod));
+  return [{ loc: BASE + '/resources/case-studies/', lastmod: indexLastmod, changefreq: 'weekly', priority: '0.75' }, ...listed];
+}
 
-    const studyHtml = `<!DOCTYPE html>
+/** Write the search index and the /resources/search/ page (noindex; results render client-side). */
+function generateSearch() {
+  writeFile(path.join(ROOT, 'resources', 'search-index.json'), buildSearchIndex(searchDocs));
+
+  const searchHtml = `<!DOCTYPE html>
 <html lang="en">
 <head>
 ${gtmHead()}
-${baseHead(seoTitle + ' | TheSEOPilot', seoDescription, canonical, csHeadOpts)}
+${baseHead('Search | TheSEOPilot', 'Search SEO and GEO articles and case studies from TheSEOPilot.', BASE + '/resources/search/', { noindex: true })}
+  <script defer src="/search.js"></script>
 </head>
 <body>
 ${gtmBody()}
 ${header()}
-  <main class="case-study-page">
+  <main>
     <nav class="breadcrumb" aria-label="Breadcrumb">
-      <a href="/">Home</a> / <a href="/resources/">Resources</a> / <a href="/resources/case-studies/">Case Studies</a> / ${escapeHtml(clientName)}
+      <a href="/">Home</a> / <a href="/resources/">Resources</a> / Search
     </nav>
-    <div class="container" style="padding-top:1rem;">
-      <h1 style="margin-bottom:1rem;">${escapeHtml(clientName)}</h1>
-      <section><h2>The Challenge</h2><div class="legal-page"><p>${escapeHtml(challenge)}</p></div></section>
-      <section><h2>The Strategy</h2><div class="legal-page">${strategyHtml || ''}</div></section>
-      <section><h2>The Results</h2><div class="legal-page">${resultsHtml || ''}</div></section>
+    <section class="page-hero">
+      <div class="container">
+        <h1>Search</h1>
+        <p>Articles and case studies on SEO, GEO and AI visibility.</p>
+      </div>
+    </section>
+    <div class="container search-page">
+      <form id="searchForm" class="search-form" action="/resources/search/" method="get" role="search">
+        <input id="searchInput" type="search" name="q" placeholder="e.g. generative engine optimization" aria-label="Search resources" autocomplete="off" />
+        <button type="submit" class="btn btn-primary">Search</button>
+      </form>
+      <p id="searchStatus" class="search-status" aria-live="polite"></p>
+      <div id="searchResults" class="search-results"></div>
+      <noscript><p>Search needs JavaScript. Browse the <a href="/resources/blog/">blog</a> or <a href="/resources/case-studies/">case studies</a> instead.</p></noscript>
     </div>
   </main>
 ${footer()}
 </body>
 </html>`;
-
-    const outDir = path.join(ROOT, 'resources', 'case-studies', slug);
-    writeFile(path.join(outDir, 'index.html'), studyHtml);
-  }
+  writeFile(path.join(ROOT, 'resources', 'search', 'index.html'), searchHtml);
 }
 
 async function main() {
@@ -531,19 +906,67 @@ async function main() {
     process.exit(0);
   }
 
+  const full = process.argv.includes('--full');
+  const strict = process.argv.includes('--strict');
+  const syncMode = process.argv.includes('--sync') || env('CONTENTFUL_SYNC') === '1';
+  const selfHostAssets = process.argv.includes('--self-host-assets') || env('CONTENTFUL_SELF_HOST_ASSETS') === '1';
+
   try {
-    const [blogRes, csRes] = await Promise.all([
-      fetchContentful(`/entries?content_type=${BLOG_CT}&order=-fields.publishedDate&include=10&locale=*`),
-      fetchContentful(`/entries?content_type=${CASE_STUDY_CT}&order=-sys.updatedAt&include=5&locale=*`).catch(() => ({ items: [], includes: {} })),
-    ]);
-    await generateBlog(blogRes);
-    await generateCaseStudies(csRes);
+    let blogRes;
+    let csRes;
+    let synced = null;
+    if (syncMode) {
+      synced = await syncSpace(fetchContentful, {
+        cacheFile: path.join(ROOT, '.generate-cache', 'sync.json'),
+        full,
+        recordDir: env('CONTENTFUL_SYNC_RECORD') ? path.resolve(env('CONTENTFUL_SYNC_RECORD')) : '',
+      });
+      console.log(synced.initial
+        ? `Sync: initial sync (${synced.changed} entries/assets).`
+        : `Sync: ${synced.changed} changed, ${synced.deleted} deleted since last run.`);
+      blogRes = collectionFromSync(synced, BLOG_CT, byFieldDesc('publishedDate'));
+      csRes = collectionFromSync(synced, CASE_STUDY_CT, bySysDesc('updatedAt'));
+    } else {
+      [blogRes, csRes] = await Promise.all([
+        fetchAllEntries(`content_type=${BLOG_CT}&order=-fields.publishedDate,sys.id&include=10&locale=*`),
+        fetchAllEntries(`content_type=${CASE_STUDY_CT}&order=-sys.updatedAt,sys.id&include=5&locale=*`).catch(() => ({ items: [], includes: {} })),
+      ]);
+    }
+    const locales = await fetchLocales();
+    const tagNames = await fetchTags();
+    build = loadManifest(ROOT, buildFingerprint(locales, { selfHostAssets }), { full });
+    if (selfHostAssets) {
+      const assets = [...((blogRes.includes && blogRes.includes.Asset) || []), ...((csRes.includes && csRes.includes.Asset) || [])];
+      assetHost = createAssetHost(ROOT, { base: BASE, assets });
+    }
+    const blogSitemap = await generateBlog(blogRes, locales, tagNames);
+    const csSitemap = await generateCaseStudies(csRes, locales);
+    generateSearch();
+    const nUrls = generateSitemap([...blogSitemap, ...csSitemap]);
+    if (assetHost) await flushPendingWrites();
+    build.removeStale();
+    build.save();
+    if (synced) synced.save();
     const nBlog = (blogRes.items || []).length;
     const nCs = (csRes.items || []).length;
-    console.log(`Generated Resources: ${nBlog} blog posts, ${nCs} case studies.`);
+    const { written, unchanged, removed } = build.stats;
+    console.log(`Generated Resources: ${nBlog} blog posts, ${nCs} case studies, sitemap.xml (${nUrls} URLs). Files: ${written} written, ${unchanged} unchanged, ${removed} removed.`);
+    if (assetHost) {
+      const a = assetHost.stats;
+      console.log(`Self-hosted assets: ${a.downloaded} downloaded, ${a.cached} cached, ${a.failed} failed, ${a.removed} removed.`);
+    }
     if (nBlog === 0) {
       console.warn(`No Page – Blog Post entries found. Check that CONTENTFUL_BLOG_CONTENT_TYPE (${BLOG_CT}) matches your content type API ID in Contentful.`);
     }
+    const audit = auditSite(ROOT, { base: BASE });
+    const auditFile = writeAuditReport(ROOT, audit);
+    console.log(`SEO audit: ${audit.pages.length} pages, ${audit.issues} issues. Report: ${path.relative(ROOT, auditFile)}`);
+    const schemaReport = validateSite(ROOT);
+    printReport(schemaReport);
+    if (strict && schemaReport.errors) {
+      console.error('Generate failed: structured data errors (--strict).');
+      process.exit(1);
+    }
   } catch (e) {
     console.error('Generate failed:', e.message);
     process.exit(1);
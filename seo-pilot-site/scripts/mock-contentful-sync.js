@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Local mock of the Contentful Sync API, replaying recorded fixtures.
+ * Run: npm run mock:sync  or  node scripts/mock-contentful-sync.js [fixturesDir] [port]
+ *
+ * Without fixturesDir it serves scripts/fixtures/sync: an initial sync (three posts, one case study,
+ * an author and an SEO component) and one delta that edits a post and deletes another.
+ *
+ * Fixtures are raw sync responses named after the request they answer:
+ *   initial.json        → GET .../sync?initial=true
+ *   <sync_token>.json   → GET .../sync?sync_token=<sync_token>
+ *   locales.json        → GET .../locales (optional; defaults to a single en-US locale)
+ * A token without a fixture gets an empty delta. Record fixtures from a real space with
+ * CONTENTFUL_SYNC_RECORD=<dir> npm run generate -- --sync
+ *
+ * Point the generator at it:
+ *   CONTENTFUL_CDN_BASE=http://localhost:4545 npm run generate -- --sync
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const dir = process.argv[2] ? path.resolve(process.argv[2]) : path.join(__dirname, 'fixtures', 'sync');
+const port = Number(process.argv[3]) || 4545;
+
+if (!fs.existsSync(dir)) {
+  console.error('Usage: node scripts/mock-contentful-sync.js [fixturesDir] [port]');
+  process.exit(1);
+}
+
+function readFixture(name) {
+  const file = path.join(dir, `${path.basename(name)}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  const send = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  if (url.pathname.endsWith('/locales')) {
+    return send(200, readFixture('locales') || { items: [{ code: 'en-US', default: true, fallbackCode: null }] });
+  }
+  if (!url.pathname.endsWith('/sync')) {
+    return send(404, { message: `Not mocked: ${url.pathname}` });
+  }
+  const token = url.searchParams.get('sync_token');
+  if (url.searchParams.get('initial') === 'true') {
+    const initial = readFixture('initial');
+    return initial ? send(200, initial) : send(404, { message: 'No initial.json fixture' });
+  }
+  if (!token) return send(400, { message: 'Provide initial=true or sync_token' });
+  const delta = readFixture(token);
+  console.log(`sync_token=${token}${delta ? '' : ' (no fixture, empty delta)'}`);
+  send(200, delta || { items: [], nextSyncUrl: `http://localhost:${port}/sync?sync_token=${encodeURIComponent(token)}` });
+});
+
+server.listen(port, () => {
+  console.log(`Mock Contentful sync API on http://localhost:${port} (fixtures: ${dir})`);
+});
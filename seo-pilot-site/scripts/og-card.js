@@ -0,0 +1,173 @@
+/**
+ * Generated Open Graph images: a branded 1200×630 social card (post title, author name and
+ * avatar, site logo) for posts with neither a featured image nor SEO share images.
+ *
+ * The card is drawn as SVG in the site's brand colours (style.css :root) and rasterized to PNG
+ * with @resvg/resvg-js. Text uses Inter / DM Sans when installed or placed in assets/fonts/
+ * (.ttf/.otf), otherwise the system sans-serif.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./contentful-helpers');
+const { imageUrl } = require('./contentful-images');
+
+const ROOT = path.resolve(__dirname, '..');
+const WIDTH = 1200;
+const HEIGHT = 630;
+const LOGO_FILE = path.join(ROOT, 'assets', 'img', 'logo-footer-circular.png');
+const FONT_DIR = path.join(ROOT, 'assets', 'fonts');
+const FONT_FAMILY = "Inter, 'DM Sans', Helvetica, Arial, 'DejaVu Sans', sans-serif";
+
+/** Brand colours from style.css */
+const COLORS = {
+  primary: '#1a1f36',
+  accent: '#f6c95c',
+  white: '#ffffff',
+  muted: '#9ca3af',
+};
+
+let resvg;
+let logoDataUri;
+
+/** @resvg/resvg-js, or null (warned once) when it is not installed. */
+function loadResvg() {
+  if (resvg === undefined) {
+    try {
+      resvg = require('@resvg/resvg-js');
+    } catch (_) {
+      console.warn('OG cards skipped: @resvg/resvg-js is not installed (npm install).');
+      resvg = null;
+    }
+  }
+  return resvg;
+}
+
+function logo() {
+  if (logoDataUri === undefined) {
+    try {
+      logoDataUri = 'data:image/png;base64,' + fs.readFileSync(LOGO_FILE).toString('base64');
+    } catch (_) {
+      logoDataUri = '';
+    }
+  }
+  return logoDataUri;
+}
+
+/**
+ * Break text into at most maxLines lines of roughly maxChars characters (by word), with an
+ * ellipsis when it doesn't fit.
+ */
+function wrapText(text, maxChars, maxLines) {
+  const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = '';
+  for (const word of words) {
+    const next = line ? `${line} ${word}` : word;
+    if (next.length <= maxChars || !line) {
+      line = next;
+      continue;
+    }
+    lines.push(line);
+    line = word;
+    if (lines.length === maxLines) break;
+  }
+  if (lines.length < maxLines && line) lines.push(line);
+  else if (line) lines[maxLines - 1] = lines[maxLines - 1].replace(/[\s,.;:–-]*$/, '') + '…';
+  return lines.map((l) => (l.length > maxChars + 4 ? l.slice(0, maxChars).trimEnd() + '…' : l));
+}
+
+/** Largest title size at which the title fits on three lines. */
+function titleLayout(title) {
+  for (const size of [72, 64, 56]) {
+    // Average glyph width of a bold sans is about 0.6em
+    const maxChars = Math.floor(1040 / (size * 0.6));
+    const lines = wrapText(title, maxChars, 3);
+    if (!lines.some((l) => l.endsWith('…')) || size === 56) return { size, lines };
+  }
+  return null;
+}
+
+/** Avatar as a data URI (Images API thumbnail, PNG), or '' if it can't be fetched. */
+async function avatarDataUri(url) {
+  if (!url) return '';
+  const absolute = url.startsWith('//') ? 'https:' + url : url;
+  const src = /^https:\/\/images\.ctfassets\.net\//.test(absolute) ? imageUrl(absolute, { w: 192, h: 192, fit: 'thumb', f: 'face', fm: 'png' }) : absolute;
+  try {
+    const res = await fetch(src);
+    const type = (res.headers.get('content-type') || '').split(';')[0];
+    if (!res.ok || !/^image\/(png|jpeg)$/.test(type)) return '';
+    return `data:${type};base64,` + Buffer.from(await res.arrayBuffer()).toString('base64');
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * Card markup.
+ * @param {{ title: string, authorName?: string, avatar?: string, logo?: string }} card - avatar/logo as data URIs
+ * @returns {string} SVG
+ */
+function ogCardSvg(card) {
+  const { size, lines } = titleLayout(card.title);
+  const lineHeight = Math.round(size * 1.15);
+  // Vertically centred between the header and the author row
+  const titleTop = 300 + size * 0.35 - ((lines.length - 1) * lineHeight) / 2;
+  const titleText = lines
+    .map((l, i) => `<text x="80" y="${Math.round(titleTop + i * lineHeight)}" font-size="${size}" font-weight="700" fill="${COLORS.white}">${escapeHtml(l)}</text>`)
+    .join('\n  ');
+  const initial = escapeHtml((card.authorName || 'T').trim().charAt(0).toUpperCase());
+  const avatar = card.avatar
+    ? `<image href="${card.avatar}" x="80" y="482" width="72" height="72" clip-path="url(#avatar)" preserveAspectRatio="xMidYMid slice" />`
+    : `<circle cx="116" cy="518" r="36" fill="${COLORS.accent}" /><text x="116" y="531" font-size="36" font-weight="700" fill="${COLORS.primary}" text-anchor="middle">${initial}</text>`;
+  const author = card.authorName
+    ? `${avatar}
+  <text x="172" y="527" font-size="30" font-weight="600" fill="${COLORS.white}">${escapeHtml(card.authorName)}</text>`
+    : '';
+  const brand = card.logo
+    ? `<image href="${card.logo}" x="80" y="56" width="64" height="64" />
+  <text x="160" y="99" font-size="30" font-weight="700" fill="${COLORS.white}">TheSEOPilot</text>`
+    : `<text x="80" y="99" font-size="30" font-weight="700" fill="${COLORS.white}">TheSEOPilot</text>`;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="${FONT_FAMILY}">
+  <defs><clipPath id="avatar"><circle cx="116" cy="518" r="36" /></clipPath></defs>
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="${COLORS.primary}" />
+  <circle cx="1120" cy="40" r="260" fill="${COLORS.accent}" opacity="0.08" />
+  <rect x="0" y="0" width="12" height="${HEIGHT}" fill="${COLORS.accent}" />
+  ${brand}
+  <text x="1120" y="99" font-size="26" font-weight="600" fill="${COLORS.accent}" text-anchor="end">BLOG</text>
+  ${titleText}
+  ${author}
+  <text x="1120" y="527" font-size="26" fill="${COLORS.muted}" text-anchor="end">theseopilot.pro</text>
+</svg>`;
+}
+
+/**
+ * Render a post's social card.
+ * @param {{ title: string, author?: { name: string, avatarUrl?: string } | null }} post
+ * @returns {Promise<Buffer|null>} PNG, or null when @resvg/resvg-js is unavailable
+ */
+async function renderOgCard(post) {
+  const lib = loadResvg();
+  if (!lib) return null;
+  const author = post.author || null;
+  const svg = ogCardSvg({
+    title: post.title,
+    authorName: author ? author.name : '',
+    avatar: author ? await avatarDataUri(author.avatarUrl) : '',
+    logo: logo(),
+  });
+  const renderer = new lib.Resvg(svg, {
+    fitTo: { mode: 'width', value: WIDTH },
+    font: {
+      loadSystemFonts: true,
+      fontDirs: fs.existsSync(FONT_DIR) ? [FONT_DIR] : [],
+      defaultFontFamily: 'DejaVu Sans',
+    },
+  });
+  return renderer.render().asPng();
+}
+
+module.exports = {
+  ogCardSvg,
+  renderOgCard,
+};
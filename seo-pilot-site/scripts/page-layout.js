@@ -0,0 +1,153 @@
+/**
+ * Page chrome shared by every generated page: <head> (meta, Open Graph, canonical, feeds, JSON-LD),
+ * site header, footer and Google Tag Manager snippets. Also used by the Preview API's full-page
+ * previews, which add previewBanner().
+ */
+
+const { escapeHtml, escapeAttr } = require('./contentful-helpers');
+
+const BASE = 'https://theseopilot.pro';
+
+function nav() {
+  return `
+      <nav class="desktop-nav">
+        <a href="/#services">Services</a>
+        <a href="/#workflow">Process</a>
+        <a href="/#about">About</a>
+        <a href="/resources/">Resources</a>
+        <form class="nav-search" action="/resources/search/" method="get" role="search">
+          <input type="search" name="q" placeholder="Search" aria-label="Search resources" />
+        </form>
+        <a href="/#contact" class="nav-cta">Get Started</a>
+      </nav>
+      <div class="hamburger" onclick="toggleMenu()">☰</div>
+    </div>
+    <div class="mobile-nav" id="mobileNav">
+      <a href="/#services">Services</a>
+      <a href="/#workflow">Process</a>
+      <a href="/#about">About</a>
+      <a href="/resources/">Resources</a>
+      <form class="nav-search" action="/resources/search/" method="get" role="search">
+        <input type="search" name="q" placeholder="Search resources" aria-label="Search resources" />
+      </form>
+      <a href="/#contact">Get Started</a>
+    </div>`;
+}
+
+function header() {
+  return `  <header class="site-header">
+    <div class="nav-container">
+      <a href="/" class="nav-brand link-wrapper">
+        <div class="nav-logo-circle-frame">
+          <img src="/assets/img/logo-footer.webp" loading="lazy" alt="TheSEOPilot Logo" class="nav-logo" />
+        </div>
+        <div class="nav-logo">The<span class="logo-accent">SEO</span>Pilot</div>
+      </a>${nav()}
+  </header>`;
+}
+
+function footer() {
+  return `  <footer class="site-footer">
+    <div class="container footer-content">
+      <div class="footer-brand">
+        <div class="logo-circle-frame">
+          <img src="/assets/img/logo-footer.webp" loading="lazy" alt="TheSEOPilot Logo" class="footer-logo" />
+        </div>
+        <div>
+          <div class="nav-logo">The<span class="logo-accent">SEO</span>Pilot</div>
+          <p>Your SEO Growth Partner.</p>
+        </div>
+      </div>
+      <div class="footer-links">
+        <h5>Legal</h5>
+        <ul>
+          <li><a href="/privacy/">Privacy</a></li>
+          <li><a href="/terms/">Terms</a></li>
+        </ul>
+      </div>
+    </div>
+  </footer>
+  <div class="copyright">
+    <p>&copy; 2025 TheSEOPilot. All rights reserved.</p>
+  </div>`;
+}
+
+function gtmHead() {
+  return `  <!-- Google Tag Manager -->
+  <script>(function(w,d,s,l,i){w[l]=w[l]||[];w[l].push({'gtm.start':
+  new Date().getTime(),event:'gtm.js'});var f=d.getElementsByTagName(s)[0],
+  j=d.createElement(s),dl=l!='dataLayer'?'&l='+l:'';j.async=true;j.src=
+  'https://www.googletagmanager.com/gtm.js?id='+i+dl;f.parentNode.insertBefore(j,f);
+  })(window,document,'script','dataLayer','GTM-5ZTWCD2L');</script>
+  <!-- End Google Tag Manager -->`;
+}
+
+function gtmBody() {
+  return `  <!-- Google Tag Manager (noscript) -->
+  <noscript><iframe src="https://www.googletagmanager.com/ns.html?id=GTM-5ZTWCD2L"
+  height="0" width="0" style="display:none;visibility:hidden"></iframe></noscript>
+  <!-- End Google Tag Manager (noscript) -->`;
+}
+
+/** Safe JSON for embedding in script tag (escapes </script>) */
+function safeSchemaJson(obj) {
+  const s = JSON.stringify(obj);
+  return s.replace(/<\//g, '<\\/');
+}
+
+function baseHead(title, description, canonical, opts = {}) {
+  const ogTitle = opts.ogTitle || title;
+  const ogDesc = (opts.ogDescription || description).slice(0, 200);
+  const ogBlock = `  <meta property="og:title" content="${escapeAttr(ogTitle)}" />
+  <meta property="og:description" content="${escapeAttr(ogDesc)}" />
+  <meta property="og:url" content="${escapeAttr(canonical)}" />
+  <meta property="og:type" content="${opts.ogType || 'website'}" />${opts.ogImage ? `
+  <meta property="og:image" content="${escapeAttr(opts.ogImage)}" />
+  <meta name="twitter:card" content="summary_large_image" />
+  <meta name="twitter:image" content="${escapeAttr(opts.ogImage)}" />` : `
+  <meta name="twitter:card" content="summary" />`}
+  <meta name="twitter:title" content="${escapeAttr(ogTitle)}" />
+  <meta name="twitter:description" content="${escapeAttr(ogDesc)}" />`;
+  // hreflang alternates for posts published in more than one locale
+  const alternates = (opts.alternates || []).map((a) => `\n  <link rel="alternate" hreflang="${escapeAttr(a.hreflang)}" href="${escapeAttr(a.href)}" />`).join('');
+  const schemaJson = opts.schemaJson ? `  <script type="application/ld+json">${typeof opts.schemaJson === 'string' ? opts.schemaJson : safeSchemaJson(opts.schemaJson)}</script>` : '';
+  // Robots meta: noindex/nofollow from SEO component
+  const robotsParts = [];
+  if (opts.noindex) robotsParts.push('noindex');
+  if (opts.nofollow) robotsParts.push('nofollow');
+  const robotsMeta = robotsParts.length ? `\n  <meta name="robots" content="${robotsParts.join(', ')}" />` : '';
+  return `  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <title>${escapeHtml(title)}</title>
+  <meta name="description" content="${escapeHtml(description)}" />${robotsMeta}
+  <link rel="icon" href="/assets/img/favicon.ico" type="image/x-icon" />
+  <link rel="stylesheet" href="/style.css" />
+  <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;600&family=Playfair+Display:wght@700&display=swap" rel="stylesheet" />
+  <link rel="canonical" href="${escapeHtml(canonical)}" />
+  <link rel="alternate" type="application/rss+xml" title="TheSEOPilot Blog (RSS)" href="${BASE}/resources/blog/feed.xml" />
+  <link rel="alternate" type="application/atom+xml" title="TheSEOPilot Blog (Atom)" href="${BASE}/resources/blog/atom.xml" />
+  <link rel="alternate" type="application/feed+json" title="TheSEOPilot Blog (JSON Feed)" href="${BASE}/resources/blog/feed.json" />${opts.prev ? `
+  <link rel="prev" href="${escapeAttr(opts.prev)}" />` : ''}${opts.next ? `
+  <link rel="next" href="${escapeAttr(opts.next)}" />` : ''}${alternates}
+${ogBlock}${schemaJson ? '\n' + schemaJson : ''}
+  <script defer src="/script.js"></script>`;
+}
+
+/**
+ * Bar above a preview page's content: draft notice (preview pages are noindex).
+ * @param {string} [note] - What the preview shows differently from the published page
+ */
+function previewBanner(note = '') {
+  return `  <div class="preview-banner" role="status"><strong>Preview</strong> — Draft content from Contentful. This page is not published or indexed.${note ? ' ' + escapeHtml(note) : ''}</div>`;
+}
+
+module.exports = {
+  BASE,
+  header,
+  footer,
+  gtmHead,
+  gtmBody,
+  safeSchemaJson,
+  baseHead,
+  previewBanner,
+};
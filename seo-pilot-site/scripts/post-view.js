@@ -0,0 +1,346 @@
+/**
+ * Blog post view model and page: everything a post page shows, rendered from one localized
+ * Page – Blog Post entry and its includes, and the post page template around it.
+ *
+ * The generator (generateBlog) and the Preview API both build posts with buildPostView() and
+ * postPageHtml(), so a preview renders exactly what production does. Field IDs come from the content model env vars
+ * (CONTENTFUL_CONTENT_FIELD, CONTENTFUL_CONTENT_BLOCKS_FIELD, CONTENTFUL_FAQS_FIELD), read per call.
+ */
+
+const {
+  unwrap,
+  slugify,
+  resolveSeoRef,
+  resolveAuthorRef,
+  richTextField,
+  getSeo,
+  getAuthor,
+  getFeaturedImageUrl,
+  getFeaturedImage,
+  responsiveImageHtml,
+  formatPublishedDate,
+  richTextToHtml,
+  renderContentBlocks,
+  extractFaqPairs,
+  buildFaqSchema,
+  readingStats,
+  fieldToText,
+  escapeHtml,
+  escapeAttr,
+} = require('./contentful-helpers');
+const { createHeadingCollector, wantsTableOfContents, tableOfContentsHtml } = require('./rich-text-toc');
+const { BASE, header, footer, gtmHead, gtmBody, baseHead, previewBanner } = require('./page-layout');
+
+const FAQS_HEADING = 'Frequently Asked Questions';
+
+/** Comma-separated field IDs from an env var, e.g. "content,body" */
+function fieldIdsFromEnv(name, fallback) {
+  return (process.env[name] || fallback).split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+/** Main content (Rich text) field IDs, first match wins. */
+function contentFieldIds() {
+  return fieldIdsFromEnv('CONTENTFUL_CONTENT_FIELD', 'content,body,mainContent,main_content');
+}
+
+/** First of fieldIds holding a non-empty reference array (content blocks), or null. */
+function referencesField(entry, fieldIds) {
+  const f = entry.fields || {};
+  for (const fid of fieldIds) {
+    const val = unwrap(f[fid]);
+    if (Array.isArray(val) && val.length > 0) return val;
+  }
+  return null;
+}
+
+/** URL path of a blog post; non-default locales use CONTENTFUL_BLOG_LOCALE_PATH. */
+function blogPostPath(slug, locale, isDefaultLocale) {
+  if (isDefaultLocale) return `/resources/blog/${encodeURIComponent(slug)}/`;
+  return (process.env.CONTENTFUL_BLOG_LOCALE_PATH || '/resources/blog/{locale}/{slug}/')
+    .replace('{locale}', encodeURIComponent(locale.toLowerCase()))
+    .replace('{slug}', encodeURIComponent(slug));
+}
+
+/**
+ * Topics of a blog post: Contentful metadata tags plus the `category` field (text or list).
+ * Both share the /resources/blog/tag/{slug}/ namespace, so a tag and a category with the same name merge.
+ * @returns {{ slug: string, name: string }[]}
+ */
+function blogTopics(entry, tagNames = {}) {
+  const names = ((entry.metadata && entry.metadata.tags) || []).map((t) => tagNames[t.sys.id] || t.sys.id);
+  const category = unwrap((entry.fields || {}).category);
+  for (const c of [].concat(category || [])) {
+    if (typeof c === 'string' && c.trim()) names.push(c.trim());
+  }
+  const topics = new Map();
+  for (const name of names) {
+    const slug = slugify(name);
+    if (slug && !topics.has(slug)) topics.set(slug, { slug, name });
+  }
+  return [...topics.values()];
+}
+
+function topicPath(topic) {
+  return `/resources/blog/tag/${encodeURIComponent(topic.slug)}/`;
+}
+
+function topicLinks(topics) {
+  return topics.map((t) => `<a href="${topicPath(t)}" rel="tag">${escapeHtml(t.name)}</a>`).join(' ');
+}
+
+/** URL path of an author page (root-relative). */
+function authorPath(author) {
+  return `/resources/authors/${encodeURIComponent(author.slug)}/`;
+}
+
+/** Author box under the post title: avatar, name (linking to the author page), role and bio. */
+function authorHtml(author) {
+  if (!author) return '';
+  const role = author.roleCompany ? `<span class="blog-author-role">${escapeHtml(author.roleCompany)}</span>` : '';
+  const bio = author.bio ? `<p class="blog-author-bio">${escapeHtml(author.bio)}</p>` : '';
+  return `<div class="blog-author"><div class="blog-author-inner">${responsiveImageHtml(author.avatarImage, { alt: author.name, className: 'blog-author-avatar', displayWidth: 48 })}<div><a href="${authorPath(author)}" class="blog-author-name" rel="author">${escapeHtml(author.name)}</a>${role}${bio}</div></div></div>`;
+}
+
+/**
+ * Render a blog post.
+ * @param {object} entry - Localized Page – Blog Post entry (see localizeResponse)
+ * @param {object} [includes] - Response includes ({ Entry: [], Asset: [] })
+ * @param {object[]} [items] - Other entries of the response (for links between entries)
+ * @returns {object} View model: title, slug, excerpt, body (HTML), tocHtml, faqsHtml, authorHtml,
+ *   featuredImageHtml, publishedDateHtml, SEO fields, author, faqs, faqSchema, wordCount, …
+ */
+function buildPostView(entry, includes = {}, items = []) {
+  const f = entry.fields || {};
+  const title = unwrap(f.title) || 'Untitled';
+  const subtitle = unwrap(f.subtitle) || '';
+
+  // Heading anchors across body and content blocks, for the table of contents
+  const headings = createHeadingCollector();
+  const contentRich = richTextField(entry, contentFieldIds());
+  const bodyRichText = contentRich && contentRich.content ? richTextToHtml(contentRich, includes, items, headings) : '';
+  // Content blocks (CTA blocks, rich content blocks) follow the rich text content
+  const contentBlocksRefs = referencesField(entry, fieldIdsFromEnv('CONTENTFUL_CONTENT_BLOCKS_FIELD', 'contentBlocks,content_blocks,blocks'));
+  const contentBlocksHtml = contentBlocksRefs ? renderContentBlocks(contentBlocksRefs, includes, items, headings) : '';
+  const body = [bodyRichText, contentBlocksHtml].filter(Boolean).join('\n');
+  const text = fieldToText(contentRich);
+  const { wordCount, readingMinutes } = readingStats(text);
+
+  // First FAQ field with content (an emptied field falls through to the next)
+  const faqsRich = richTextField(entry, fieldIdsFromEnv('CONTENTFUL_FAQS_FIELD', 'faqs').filter((fid) => richTextField(entry, [fid])?.content?.length));
+  const faqsHtml = faqsRich
+    ? `<section class="blog-faqs" aria-labelledby="faqs-heading"><h2 id="faqs-heading" class="faqs-heading">${FAQS_HEADING}</h2><div class="faq-content blog-content">${richTextToHtml(faqsRich, includes, items, createHeadingCollector(headings.ids))}</div></section>`
+    : '';
+  const faqs = faqsHtml ? extractFaqPairs(faqsRich) : [];
+  const tocHtml = wantsTableOfContents(f, headings.headings)
+    ? tableOfContentsHtml([...headings.headings, ...(faqsHtml ? [{ level: 2, id: 'faqs-heading', text: FAQS_HEADING }] : [])])
+    : '';
+
+  const seo = getSeo(resolveSeoRef(entry, includes, items), includes);
+  const author = getAuthor(resolveAuthorRef(entry, includes, items), includes);
+
+  const featuredImageUrl = getFeaturedImageUrl(entry, includes);
+  const publishDate = unwrap(f.publishedDate) || '';
+  const publishedDateFormatted = formatPublishedDate(publishDate);
+
+  return {
+    id: entry.sys?.id || '',
+    title,
+    slug: unwrap(f.slug) || entry.sys?.id || 'post',
+    excerpt: subtitle,
+    body,
+    text,
+    headings: headings.headings,
+    tocHtml,
+    wordCount,
+    readingMinutes,
+    seo,
+    seoTitle: seo.pageTitle || title,
+    seoDescription: seo.pageDescription || subtitle,
+    shareImageUrl: (seo.shareImages && seo.shareImages[0]) || '',
+    author,
+    authorHtml: authorHtml(author),
+    featuredImageUrl: featuredImageUrl && featuredImageUrl.startsWith('//') ? 'https:' + featuredImageUrl : featuredImageUrl,
+    featuredImageHtml: responsiveImageHtml(getFeaturedImage(entry, includes), { alt: title, loading: 'eager' }),
+    publishDate,
+    publishedDateFormatted,
+    publishedDateHtml: publishedDateFormatted ? `<time class="blog-published-date" datetime="${escapeAttr(publishDate)}">${escapeHtml(publishedDateFormatted)}</time>` : '',
+    faqs,
+    faqSchema: buildFaqSchema(faqs),
+    faqsHtml,
+  };
+}
+
+/** "5 min read" (word count in the title attribute) */
+function readingTimeLabel({ wordCount, readingMinutes }) {
+  return `<span class="blog-reading-time" title="${wordCount.toLocaleString('en-US')} word${wordCount === 1 ? '' : 's'}">${readingMinutes} min read</span>`;
+}
+
+/** Related articles and previous/next links below a post ({ title, subtitle?, url } each). */
+function postLinksHtml(related, older, newer) {
+  const relatedHtml = related.length
+    ? `
+      <section class="blog-related" aria-labelledby="related-heading">
+        <h2 id="related-heading">Related articles</h2>
+        <ul>${related.map((p) => `
+          <li><a href="${p.url}">${escapeHtml(p.title)}</a>${p.subtitle ? `<p>${escapeHtml(p.subtitle)}</p>` : ''}</li>`).join('')}
+        </ul>
+      </section>`
+    : '';
+  const navHtml = older || newer
+    ? `
+      <nav class="blog-post-nav" aria-label="More articles">
+        ${older ? `<a href="${older.url}" class="blog-post-nav-prev"><span>← Previous article</span>${escapeHtml(older.title)}</a>` : '<span></span>'}
+        ${newer ? `<a href="${newer.url}" class="blog-post-nav-next"><span>Next article →</span>${escapeHtml(newer.title)}</a>` : '<span></span>'}
+      </nav>`
+    : '';
+  return relatedHtml + navHtml;
+}
+
+/**
+ * hreflang alternates of a post published in several locales (plus x-default), or [] for one.
+ * @param {{ hreflang: string, href: string }[]} localeUrls - The post's URL in each locale
+ */
+function hreflangAlternates(localeUrls, defLocale) {
+  if (localeUrls.length < 2) return [];
+  const defaultUrl = localeUrls.find((u) => u.hreflang === defLocale);
+  return [...localeUrls, ...(defaultUrl ? [{ hreflang: 'x-default', href: defaultUrl.href }] : [])];
+}
+
+/** Article + BreadcrumbList (+ FAQPage) JSON-LD of a post. */
+function postSchema(view, { canonical, locale, imageUrl }) {
+  const { title, author, wordCount, readingMinutes } = view;
+  const schemaGraph = [
+    {
+      '@type': 'Article',
+      headline: title,
+      description: view.seoDescription,
+      url: canonical,
+      ...(locale && { inLanguage: locale }),
+      datePublished: view.publishDate || undefined,
+      dateModified: view.publishDate || undefined,
+      author: author
+        ? { '@type': 'Person', '@id': BASE + authorPath(author) + '#person', name: author.name, url: BASE + authorPath(author) }
+        : { '@type': 'Organization', name: 'TheSEOPilot' },
+      publisher: { '@type': 'Organization', name: 'TheSEOPilot', logo: { '@type': 'ImageObject', url: BASE + '/assets/img/logo-footer.webp' } },
+      ...(imageUrl && { image: imageUrl }),
+      ...(wordCount && { wordCount, timeRequired: `PT${readingMinutes}M` }),
+    },
+    {
+      '@type': 'BreadcrumbList',
+      itemListElement: [
+        { '@type': 'ListItem', position: 1, name: 'Home', item: BASE + '/' },
+        { '@type': 'ListItem', position: 2, name: 'Resources', item: BASE + '/resources/' },
+        { '@type': 'ListItem', position: 3, name: 'Blog', item: BASE + '/resources/blog/' },
+        { '@type': 'ListItem', position: 4, name: title, item: canonical },
+      ],
+    },
+  ];
+  // Add FAQPage schema if FAQ pairs exist
+  if (view.faqSchema) {
+    schemaGraph.push(view.faqSchema);
+  }
+  return {
+    '@context': 'https://schema.org',
+    '@graph': schemaGraph,
+  };
+}
+
+/**
+ * The post page (resources/blog/{slug}/index.html).
+ * @param {object} view - buildPostView() result
+ * @param {object} opts
+ * @param {string} opts.locale - Locale code (html lang, inLanguage)
+ * @param {string} opts.canonical - Canonical URL
+ * @param {string} [opts.ogImageUrl] - og:image / Article image
+ * @param {{ hreflang: string, href: string }[]} [opts.alternates] - See hreflangAlternates()
+ * @param {{ slug: string, name: string }[]} [opts.topics] - See blogTopics()
+ * @param {object[]} [opts.related] - Related posts, see postLinksHtml()
+ * @param {object} [opts.older] - Previous post
+ * @param {object} [opts.newer] - Next post
+ * @param {boolean} [opts.preview] - Draft preview: preview banner, always noindex/nofollow, no GTM (the
+ *   preview URL carries the preview secret, which page_view would record)
+ */
+function postPageHtml(view, opts) {
+  const { locale, canonical, ogImageUrl, alternates = [], topics = [], related = [], older = null, newer = null, preview = false } = opts;
+  const { title, excerpt: subtitle, body, seo, wordCount, readingMinutes } = view;
+  const headOpts = { ogType: 'article' };
+  if (ogImageUrl) headOpts.ogImage = ogImageUrl;
+  // Robots directives from SEO component
+  if (seo.noindex || preview) headOpts.noindex = true;
+  if (seo.nofollow || preview) headOpts.nofollow = true;
+  if (alternates.length) headOpts.alternates = alternates;
+  headOpts.schemaJson = postSchema(view, { canonical, locale, imageUrl: ogImageUrl });
+
+  const readingTimeHtml = readingMinutes ? readingTimeLabel({ wordCount, readingMinutes }) : '';
+  const metaRow = [view.publishedDateHtml, readingTimeHtml, view.authorHtml].filter(Boolean).join('');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeAttr(locale || 'en')}">
+<head>
+${preview ? '' : gtmHead() + '\n'}${baseHead(view.seoTitle + ' | TheSEOPilot', view.seoDescription, canonical, headOpts)}
+</head>
+<body>
+${preview ? '' : gtmBody() + '\n'}${header()}${preview ? '\n' + previewBanner('Related articles and previous/next links are added when the site is generated.') : ''}
+  <main class="case-study-page blog-post-page">
+    <nav class="breadcrumb" aria-label="Breadcrumb">
+      <a href="/">Home</a> / <a href="/resources/">Resources</a> / <a href="/resources/blog/">Blog</a> / ${escapeHtml(title)}
+    </nav>
+    <div class="container blog-post-container">
+      <h1 class="blog-post-title">${escapeHtml(title)}</h1>
+      ${subtitle ? `<p class="blog-post-subtitle">${escapeHtml(subtitle)}</p>` : ''}
+      ${view.featuredImageHtml ? `<figure class="blog-featured-image">${view.featuredImageHtml}</figure>` : ''}
+      <div class="blog-meta-row">${metaRow}</div>
+      <div class="legal-page blog-content-wrapper">
+        ${view.tocHtml}<div class="blog-content">${body || '<p class="blog-content-empty">No content yet.</p>'}</div>
+      </div>
+      ${topics.length ? `<p class="blog-tags">Topics: ${topicLinks(topics)}</p>` : ''}
+      ${view.faqsHtml}${postLinksHtml(related, older, newer)}
+    </div>
+  </main>
+${footer()}
+</body>
+</html>`;
+}
+
+/**
+ * The post as JSON: the Preview API `post` object and the base of the generated
+ * resources/blog/{slug}/index.json.
+ */
+function postJson(view, locale) {
+  return {
+    id: view.id,
+    locale,
+    title: view.title,
+    slug: view.slug,
+    excerpt: view.excerpt,
+    body: view.body,
+    tocHtml: view.tocHtml,
+    seoTitle: view.seoTitle,
+    seoDescription: view.seoDescription,
+    noindex: !!view.seo.noindex,
+    publishDate: view.publishDate,
+    publishedDateFormatted: view.publishedDateFormatted,
+    wordCount: view.wordCount,
+    readingMinutes: view.readingMinutes,
+    featuredImageUrl: view.featuredImageUrl,
+    featuredImageHtml: view.featuredImageHtml,
+    faqsHtml: view.faqsHtml,
+    faqs: view.faqs,
+    authorHtml: view.authorHtml,
+    author: view.author || null,
+  };
+}
+
+module.exports = {
+  contentFieldIds,
+  blogPostPath,
+  blogTopics,
+  topicPath,
+  topicLinks,
+  authorPath,
+  readingTimeLabel,
+  hreflangAlternates,
+  buildPostView,
+  postPageHtml,
+  postJson,
+};
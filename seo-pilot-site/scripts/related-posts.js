@@ -0,0 +1,71 @@
+/**
+ * "Related articles" for blog posts, computed at build time.
+ *
+ * Score between two posts = shared topics × 3 + same author × 2 + body similarity × 5,
+ * where body similarity is the cosine of TF-IDF vectors over tokenize() terms (0–1).
+ * Ties go to the more recent post (input order). Posts marked noindex get related posts
+ * but are never suggested themselves.
+ */
+
+const { tokenize } = require('./search-index');
+
+const WEIGHTS = { topic: 3, author: 2, body: 5 };
+
+/** Unit-length TF-IDF vector per document, as Map<term, weight>. */
+function tfidfVectors(texts) {
+  const tfs = texts.map((text) => {
+    const tf = new Map();
+    for (const token of tokenize(text)) tf.set(token, (tf.get(token) || 0) + 1);
+    return tf;
+  });
+  const df = new Map();
+  for (const tf of tfs) {
+    for (const term of tf.keys()) df.set(term, (df.get(term) || 0) + 1);
+  }
+  return tfs.map((tf) => {
+    const vec = new Map();
+    let norm = 0;
+    for (const [term, n] of tf) {
+      const w = (1 + Math.log(n)) * Math.log(1 + texts.length / df.get(term));
+      vec.set(term, w);
+      norm += w * w;
+    }
+    norm = Math.sqrt(norm);
+    if (norm) for (const [term, w] of vec) vec.set(term, w / norm);
+    return vec;
+  });
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let sum = 0;
+  for (const [term, w] of small) sum += w * (large.get(term) || 0);
+  return sum;
+}
+
+/**
+ * @param {{ id: string, topics: string[], authorId: string, text: string, noindex?: boolean }[]} posts - Newest first
+ * @param {number} limit - Related posts per post
+ * @returns {Map<string, string[]>} post id → related post ids, best first
+ */
+function relatedPosts(posts, limit) {
+  const vectors = tfidfVectors(posts.map((p) => p.text));
+  const related = new Map();
+  posts.forEach((post, i) => {
+    const scored = [];
+    posts.forEach((other, j) => {
+      if (i === j || other.noindex) return;
+      const sharedTopics = other.topics.filter((t) => post.topics.includes(t)).length;
+      const sameAuthor = post.authorId && post.authorId === other.authorId ? 1 : 0;
+      const score = sharedTopics * WEIGHTS.topic + sameAuthor * WEIGHTS.author + cosine(vectors[i], vectors[j]) * WEIGHTS.body;
+      if (score > 0) scored.push({ j, score });
+    });
+    scored.sort((a, b) => b.score - a.score || a.j - b.j);
+    related.set(post.id, scored.slice(0, limit).map((s) => posts[s.j].id));
+  });
+  return related;
+}
+
+module.exports = {
+  relatedPosts,
+};
@@ -0,0 +1,107 @@
+/**
+ * Heading anchors and table of contents for rich text bodies.
+ * h2–h4 get ids slugified from their text ("What is GEO?" → what-is-geo), de-duplicated per page
+ * with -2, -3, … so sections can be deep-linked. The collected headings feed an optional table
+ * of contents above the post body.
+ *
+ * Used by the generator and, through post-view.js, the Preview API.
+ */
+
+const { BLOCKS } = require('@contentful/rich-text-types');
+const { escapeHtml, slugify } = require('./text-utils');
+
+/** Headings that get ids (and appear in the table of contents), by level. */
+const HEADING_BLOCKS = { 2: BLOCKS.HEADING_2, 3: BLOCKS.HEADING_3, 4: BLOCKS.HEADING_4 };
+/** Ids used by the page template around the body. */
+const RESERVED_IDS = ['toc', 'faqs-heading', 'related-heading'];
+
+/** Plain text of a rich text node. */
+function nodeText(node) {
+  if (!node) return '';
+  if (typeof node.value === 'string') return node.value;
+  return (node.content || []).map(nodeText).join('');
+}
+
+/**
+ * Heading ids and headings of one page. Pass the same collector to every render call of a
+ * page (body, content blocks) so ids stay unique across them.
+ * @param {Iterable<string>} [takenIds] - Ids already used on the page
+ * @returns {{ ids: Set<string>, headings: { level: number, id: string, text: string }[] }}
+ */
+function createHeadingCollector(takenIds = RESERVED_IDS) {
+  return { ids: new Set(takenIds), headings: [] };
+}
+
+/** Unique id for a heading text: slug, then slug-2, slug-3, … */
+function headingId(text, collector) {
+  const base = slugify(text) || 'section';
+  let id = base;
+  for (let n = 2; collector.ids.has(id); n++) id = `${base}-${n}`;
+  collector.ids.add(id);
+  return id;
+}
+
+/** renderNode entries for documentToHtmlString: h2–h4 with ids, recorded in collector. */
+function headingRenderers(collector) {
+  const renderers = {};
+  for (const [level, block] of Object.entries(HEADING_BLOCKS)) {
+    renderers[block] = (node, next) => {
+      const text = nodeText(node).trim();
+      const id = headingId(text, collector);
+      collector.headings.push({ level: Number(level), id, text });
+      return `<h${level} id="${id}">${next(node.content)}</h${level}>`;
+    };
+  }
+  return renderers;
+}
+
+/**
+ * Whether a post gets a table of contents. The entry's toggle field (CONTENTFUL_TOC_FIELD,
+ * boolean) wins when set; otherwise it is shown from CONTENTFUL_TOC_MIN_HEADINGS headings
+ * (default 4, 0 = only when toggled on).
+ * @param {object} fields - Localized entry fields
+ */
+function wantsTableOfContents(fields, headings) {
+  const fieldIds = (process.env.CONTENTFUL_TOC_FIELD || 'showTableOfContents').split(',').map((s) => s.trim()).filter(Boolean);
+  for (const fid of fieldIds) {
+    let v = fields && fields[fid];
+    if (v && typeof v === 'object') v = Object.values(v)[0];
+    if (typeof v === 'boolean') return v && headings.length > 0;
+  }
+  const min = parseInt(process.env.CONTENTFUL_TOC_MIN_HEADINGS || '4', 10);
+  return min > 0 && headings.length >= min;
+}
+
+/**
+ * Table of contents: nested list of links to the headings (h3 under the preceding h2, …).
+ * @param {{ level: number, id: string, text: string }[]} headings
+ */
+function tableOfContentsHtml(headings) {
+  if (!headings || !headings.length) return '';
+  const top = Math.min(...headings.map((h) => h.level));
+  let html = '<ol>';
+  let depth = 1;
+  headings.forEach((h, i) => {
+    // Never open more than one level at a time (h2 → h4 nests as h2 → h3)
+    const level = Math.min(h.level - top + 1, depth + 1);
+    if (i > 0 && level > depth) {
+      html += '<ol>';
+      depth = level;
+    } else if (i > 0) {
+      html += '</li>';
+      for (; depth > level; depth--) html += '</ol></li>';
+    }
+    html += `<li><a href="#${h.id}">${escapeHtml(h.text)}</a>`;
+  });
+  html += '</li>';
+  for (; depth > 1; depth--) html += '</ol></li>';
+  html += '</ol>';
+  return `<nav class="blog-toc" id="toc" aria-label="Table of contents"><p class="blog-toc-heading">Contents</p>${html}</nav>`;
+}
+
+module.exports = {
+  createHeadingCollector,
+  headingRenderers,
+  wantsTableOfContents,
+  tableOfContentsHtml,
+};
@@ -0,0 +1,66 @@
+/**
+ * Static search index for /resources/search/ (served as /resources/search-index.json).
+ *
+ * Format (compact, no runtime dependencies):
+ *   { v: 1, docs: [{ t: title, u: url, s: summary, k: kind }], terms: { token: [docIndex, score, docIndex, score, ...] },
+ *     stopwords: [...] }
+ * Scores are field-weighted term frequencies (title > subtitle/client > FAQs > body).
+ * search.js does prefix matching against the sorted token list and sums scores. It tokenizes
+ * queries with the index's stopwords, so STOPWORDS below is the only list.
+ */
+
+const STOPWORDS = new Set(('a an and are as at be but by for from has have how in into is it its of on or that the their this to was what when where which who why will with you your').split(' '));
+
+/** Weight per indexed field. */
+const WEIGHTS = {
+  title: 10,
+  subtitle: 5,
+  client: 6,
+  industry: 4,
+  topics: 4,
+  faq: 3,
+  body: 1,
+};
+
+function tokenize(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+/**
+ * @param {{ title: string, url: string, summary: string, kind: string, fields: Object<string, string> }[]} docs
+ *   fields maps a WEIGHTS key to plain text (e.g. { title, subtitle, body, faq })
+ * @returns {string} JSON
+ */
+function buildSearchIndex(docs) {
+  const terms = {};
+  docs.forEach((doc, i) => {
+    const scores = {};
+    for (const [field, text] of Object.entries(doc.fields)) {
+      const weight = WEIGHTS[field] || 1;
+      for (const token of tokenize(text)) scores[token] = (scores[token] || 0) + weight;
+    }
+    for (const [token, raw] of Object.entries(scores)) {
+      // Dampen repetition so one long body can't outrank a title match
+      const score = Math.round(Math.log2(1 + raw) * 10) / 10;
+      (terms[token] || (terms[token] = [])).push(i, score);
+    }
+  });
+  const sorted = {};
+  for (const token of Object.keys(terms).sort()) sorted[token] = terms[token];
+  return JSON.stringify({
+    v: 1,
+    docs: docs.map((d) => ({ t: d.title, u: d.url, s: (d.summary || '').slice(0, 200), k: d.kind })),
+    terms: sorted,
+    stopwords: [...STOPWORDS],
+  });
+}
+
+module.exports = {
+  tokenize,
+  buildSearchIndex,
+};
@@ -0,0 +1,191 @@
+/**
+ * Self-hosted Contentful assets (npm run generate -- --self-host-assets, or CONTENTFUL_SELF_HOST_ASSETS=1).
+ *
+ * Every Contentful asset URL in the generated output (featured and share images, result graphs,
+ * embedded assets, including each Images API rendition in a srcset) is downloaded to
+ * assets/cms/{name}.{content hash}.{ext} and the URL is rewritten to point at it. Pages then no
+ * longer depend on the Contentful CDN, and the files get the immutable cache headers render.yaml
+ * sets for /assets/*.
+ *
+ * Downloads are cached across runs in .generate-cache/assets.json by asset ID and revision: an
+ * asset is only fetched again after it is republished. Files no longer referenced are deleted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { entryVersion } = require('./build-manifest');
+
+const CACHE_VERSION = 1;
+const ASSET_DIR = 'assets/cms';
+/** Parallel downloads */
+const CONCURRENCY = 4;
+/** Contentful asset URLs (protocol-relative or https), up to the end of the attribute / srcset entry. */
+const ASSET_URL_RE = /(?:https?:)?\/\/(?:images|assets|downloads|videos)\.ctfassets\.net\/[^\s"'<>(),\\]+/g;
+
+const EXTENSIONS = {
+  'image/avif': 'avif',
+  'image/webp': 'webp',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg',
+  'application/pdf': 'pdf',
+  'video/mp4': 'mp4',
+};
+
+/** URL as found in HTML (&amp; in attributes) → the URL to fetch and cache by. */
+function normalizeUrl(raw) {
+  const url = raw.replace(/&amp;/g, '&');
+  return url.startsWith('//') ? 'https:' + url : url;
+}
+
+/** Asset ID from a Contentful asset URL: //images.ctfassets.net/{space}/{assetId}/{token}/{file} */
+function assetIdFromUrl(url) {
+  return new URL(url).pathname.split('/')[2] || '';
+}
+
+/** Local file name: the original name (slugified) + a hash of the bytes, so any change gets a new URL. */
+function localName(url, body, contentType) {
+  const { pathname, searchParams } = new URL(url);
+  const base = decodeURIComponent(pathname.split('/').pop() || 'asset');
+  const stem = base.replace(/\.[^.]+$/, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'asset';
+  const type = (contentType || '').split(';')[0].trim();
+  const ext = EXTENSIONS[type] || searchParams.get('fm') || (base.includes('.') ? base.split('.').pop().toLowerCase() : 'bin');
+  const width = searchParams.get('w') ? `-${searchParams.get('w')}w` : '';
+  const hash = crypto.createHash('sha256').update(body).digest('hex').slice(0, 12);
+  return `${stem}${width}.${hash}.${ext}`;
+}
+
+function readCache(file) {
+  try {
+    const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (json.version === CACHE_VERSION && json.assets) return json.assets;
+  } catch (_) {}
+  return {};
+}
+
+/**
+ * @param {string} root - Output directory (files go to {root}/assets/cms/)
+ * @param {object} opts
+ * @param {string} opts.base - Site origin for absolute URLs (og:image, JSON-LD, feeds)
+ * @param {object[]} opts.assets - Contentful Asset objects (includes.Asset), for their revisions
+ * @param {typeof fetch} [opts.fetch]
+ */
+function createAssetHost(root, opts) {
+  const cacheFile = path.join(root, '.generate-cache', 'assets.json');
+  const dir = path.join(root, ...ASSET_DIR.split('/'));
+  const previous = readCache(cacheFile);
+  const versions = {};
+  for (const a of opts.assets || []) {
+    if (a && a.sys) versions[a.sys.id] = entryVersion(a);
+  }
+  const doFetch = opts.fetch || fetch;
+  /** asset ID → { version, files: { url: file name } } for this run */
+  const current = {};
+  const wanted = new Set();
+  const local = new Map();
+  const stats = { downloaded: 0, cached: 0, failed: 0, removed: 0 };
+
+  /** Cached file for url, if the asset has not been republished since and the file still exists. */
+  function cached(url) {
+    const id = assetIdFromUrl(url);
+    const prev = previous[id];
+    const name = prev && prev.version === (versions[id] || prev.version) && prev.files[url];
+    return name && fs.existsSync(path.join(dir, name)) ? name : null;
+  }
+
+  function remember(url, name) {
+    const id = assetIdFromUrl(url);
+    const entry = current[id] || (current[id] = { version: versions[id] || (previous[id] && previous[id].version) || '', files: {} });
+    entry.files[url] = name;
+    local.set(url, name);
+  }
+
+  async function download(url) {
+    const name = cached(url);
+    if (name) {
+      remember(url, name);
+      stats.cached++;
+      return;
+    }
+    try {
+      const res = await doFetch(url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const body = Buffer.from(await res.arrayBuffer());
+      const file = localName(url, body, res.headers.get('content-type'));
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, file), body);
+      remember(url, file);
+      stats.downloaded++;
+    } catch (e) {
+      // The page keeps the CDN URL for this file
+      console.warn(`Could not download ${url} (${e.message}). Keeping the Contentful URL.`);
+      stats.failed++;
+    }
+  }
+
+  return {
+    stats,
+
+    /** Note the asset URLs in content; returns how many it has. */
+    collect(content) {
+      const urls = String(content).match(ASSET_URL_RE) || [];
+      for (const u of urls) wanted.add(normalizeUrl(u));
+      return urls.length;
+    },
+
+    /** Download (or reuse from the cache) every collected URL. */
+    async downloadAll() {
+      const queue = [...wanted];
+      const worker = async () => {
+        while (queue.length) await download(queue.shift());
+      };
+      await Promise.all(Array.from({ length: Math.min(CONCURRENCY, queue.length) }, worker));
+    },
+
+    /**
+     * The local file of each asset URL in content ('' where the download failed and the CDN URL
+     * stays), for the build manifest: a later successful download then changes the page's deps.
+     */
+    resolved(content) {
+      const urls = String(content).match(ASSET_URL_RE) || [];
+      return urls.map((u) => local.get(normalizeUrl(u)) || '').join('|');
+    },
+
+    /**
+     * Point asset URLs in content at the downloaded files. Root-relative in HTML attributes;
+     * absolute (opts.base) where the URL is read off-site: meta tags (og:image), JSON-LD and,
+     * with absolute: true, whole files such as feeds and the JSON API.
+     */
+    rewrite(content, { absolute = false } = {}) {
+      const replace = (text, abs) => text.replace(ASSET_URL_RE, (raw) => {
+        const name = local.get(normalizeUrl(raw));
+        return name ? `${abs ? opts.base : ''}/${ASSET_DIR}/${name}` : raw;
+      });
+      if (absolute) return replace(content, true);
+      return replace(content, false)
+        .replace(/<meta\b[^>]*>/gi, (tag) => tag.replace(/\s(content="\/assets\/cms\/)/, ` content="${opts.base}/assets/cms/`))
+        .replace(/(<script[^>]*application\/ld\+json[^>]*>)([\s\S]*?)(<\/script>)/gi, (_, open, json, close) => open + json.replace(/"\/assets\/cms\//g, `"${opts.base}/assets/cms/`) + close);
+    },
+
+    /** Delete downloads no page references any more and store the cache. */
+    save() {
+      const keep = new Set(local.values());
+      if (fs.existsSync(dir)) {
+        for (const name of fs.readdirSync(dir)) {
+          if (keep.has(name)) continue;
+          fs.unlinkSync(path.join(dir, name));
+          stats.removed++;
+        }
+      }
+      fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+      fs.writeFileSync(cacheFile, JSON.stringify({ version: CACHE_VERSION, assets: current }, null, 2), 'utf8');
+    },
+  };
+}
+
+module.exports = {
+  ASSET_DIR,
+  createAssetHost,
+};
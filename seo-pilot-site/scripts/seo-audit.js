@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+/**
+ * On-page SEO audit of the built site. Parses every HTML page and flags:
+ *   - <title> over 60 / meta description over 160 characters, or missing
+ *   - duplicate titles and descriptions across indexable pages
+ *   - missing og:image
+ *   - no <h1> or more than one, skipped heading levels inside <main> (e.g. h2 → h4)
+ *   - <img> without alt text (alt="" included)
+ *   - canonical missing or not matching the page's own URL
+ * The report is written to build-artifacts/seo-audit.md (git-ignored).
+ *
+ * Runs at the end of npm run generate; standalone: node scripts/seo-audit.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listHtmlFiles, urlPathFor } = require('./site-files');
+
+const DEFAULT_BASE = 'https://theseopilot.pro';
+const TITLE_MAX = 60;
+const DESCRIPTION_MAX = 160;
+
+/** Headings for each check in the report, in report order. */
+const CHECKS = {
+  'title-missing': 'Missing <title>',
+  'title-long': `Title over ${TITLE_MAX} characters`,
+  'title-duplicate': 'Duplicate title',
+  'description-missing': 'Missing meta description',
+  'description-long': `Description over ${DESCRIPTION_MAX} characters`,
+  'description-duplicate': 'Duplicate description',
+  'og-image-missing': 'Missing og:image',
+  'h1-count': 'Not exactly one <h1>',
+  'heading-skip': 'Skipped heading level',
+  'img-alt': 'Image without alt text',
+  'canonical-missing': 'Missing canonical',
+  'canonical-mismatch': 'Canonical does not match the page URL',
+  'canonical-external': 'Canonical points to another site',
+};
+
+function decodeEntities(s) {
+  return String(s || '')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&amp;/g, '&');
+}
+
+/** Value of attr in a single tag string, or null when absent. */
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+  return m ? decodeEntities(m[2] != null ? m[2] : m[3]) : null;
+}
+
+/** First tag matching tagRe whose attribute name equals value. */
+function findTag(html, tagRe, name, value) {
+  return (html.match(tagRe) || []).find((t) => (attr(t, name) || '').toLowerCase() === value) || null;
+}
+
+/** Extract what the audit looks at from one page. */
+function parsePage(html) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const metas = /<meta\b[^>]*>/gi;
+  const links = /<link\b[^>]*>/gi;
+  const description = findTag(html, metas, 'name', 'description');
+  const robots = findTag(html, metas, 'name', 'robots');
+  const ogImage = findTag(html, metas, 'property', 'og:image');
+  const canonical = findTag(html, links, 'rel', 'canonical');
+  const mainMatch = html.match(/<main\b[\s\S]*?<\/main>/i);
+  const main = mainMatch ? mainMatch[0] : html;
+  return {
+    title: titleMatch ? decodeEntities(titleMatch[1]).trim() : null,
+    description: description ? attr(description, 'content') : null,
+    noindex: /noindex/i.test(robots ? attr(robots, 'content') : ''),
+    ogImage: ogImage ? attr(ogImage, 'content') : null,
+    canonical: canonical ? attr(canonical, 'href') : null,
+    h1Count: (html.match(/<h1\b/gi) || []).length,
+    headings: (main.match(/<h[1-6]\b/gi) || []).map((h) => Number(h[2])),
+    images: (html.match(/<img\b[^>]*>/gi) || []).map((t) => ({ src: attr(t, 'src') || '', alt: attr(t, 'alt') })),
+  };
+}
+
+/**
+ * Audit every HTML page under root.
+ * @param {string} root - Output directory
+ * @param {{ base?: string }} [opts] - Site origin canonicals are compared against
+ * @returns {{ pages: { url: string, noindex: boolean, issues: { check: string, message: string }[] }[], issues: number }}
+ */
+function auditSite(root, opts = {}) {
+  const base = (opts.base || DEFAULT_BASE).replace(/\/$/, '');
+  const pages = [];
+  const byTitle = new Map();
+  const byDescription = new Map();
+
+  for (const file of listHtmlFiles(root)) {
+    const url = urlPathFor(root, file);
+    const p = parsePage(fs.readFileSync(file, 'utf8'));
+    const issues = [];
+    const add = (check, message) => issues.push({ check, message });
+
+    if (!p.title) add('title-missing', 'no <title>');
+    else if (p.title.length > TITLE_MAX) add('title-long', `${p.title.length} chars: "${p.title}"`);
+    if (!p.description) add('description-missing', 'no meta description');
+    else if (p.description.length > DESCRIPTION_MAX) add('description-long', `${p.description.length} chars`);
+    if (!p.ogImage) add('og-image-missing', 'no og:image (shares show no picture)');
+    if (p.h1Count !== 1) add('h1-count', `${p.h1Count} <h1> elements`);
+    for (let i = 1; i < p.headings.length; i++) {
+      if (p.headings[i] > p.headings[i - 1] + 1) add('heading-skip', `h${p.headings[i - 1]} followed by h${p.headings[i]}`);
+    }
+    for (const img of p.images) {
+      if (!img.alt || !img.alt.trim()) add('img-alt', `${img.alt == null ? 'no alt' : 'alt=""'}: ${img.src}`);
+    }
+    if (!p.canonical) {
+      add('canonical-missing', 'no <link rel="canonical">');
+    } else if (!p.canonical.startsWith(base + '/')) {
+      add('canonical-external', p.canonical);
+    } else if (p.canonical !== base + url) {
+      add('canonical-mismatch', `${p.canonical} (expected ${base + url})`);
+    }
+
+    // Only indexable pages compete with each other in search results
+    if (!p.noindex) {
+      if (p.title) (byTitle.get(p.title) || byTitle.set(p.title, []).get(p.title)).push(issues);
+      if (p.description) (byDescription.get(p.description) || byDescription.set(p.description, []).get(p.description)).push(issues);
+    }
+    pages.push({ url, noindex: p.noindex, issues });
+  }
+
+  const flagDuplicates = (groups, check, label) => {
+    for (const [value, pageIssues] of groups) {
+      if (pageIssues.length < 2) continue;
+      for (const issues of pageIssues) issues.push({ check, message: `${label} shared by ${pageIssues.length} pages: "${value.slice(0, 80)}"` });
+    }
+  };
+  flagDuplicates(byTitle, 'title-duplicate', 'title');
+  flagDuplicates(byDescription, 'description-duplicate', 'description');
+
+  return { pages, issues: pages.reduce((n, p) => n + p.issues.length, 0) };
+}
+
+function mdEscape(s) {
+  return String(s).replace(/([|*_`<>[\]])/g, '\\$1');
+}
+
+/** Markdown report: counts per check, then each page's issues. */
+function auditMarkdown(report, generatedAt = new Date()) {
+  const counts = {};
+  for (const page of report.pages) {
+    for (const i of page.issues) counts[i.check] = (counts[i.check] || 0) + 1;
+  }
+  const lines = [
+    '# SEO audit',
+    '',
+    `Generated ${generatedAt.toISOString()}: ${report.pages.length} pages, ${report.issues} issues.`,
+    '',
+    '| Check | Issues |',
+    '|-------|--------|',
+    ...Object.keys(CHECKS).map((c) => `| ${mdEscape(CHECKS[c])} | ${counts[c] || 0} |`),
+    '',
+  ];
+  for (const page of report.pages) {
+    if (!page.issues.length) continue;
+    lines.push(`## ${mdEscape(page.url)}${page.noindex ? ' (noindex)' : ''}`, '');
+    const sorted = [...page.issues].sort((a, b) => Object.keys(CHECKS).indexOf(a.check) - Object.keys(CHECKS).indexOf(b.check));
+    for (const i of sorted) lines.push(`- **${mdEscape(CHECKS[i.check])}**: ${mdEscape(i.message)}`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+/** Write build-artifacts/seo-audit.md under root; returns the file path. */
+function writeAuditReport(root, report) {
+  const file = path.join(root, 'build-artifacts', 'seo-audit.md');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, auditMarkdown(report), 'utf8');
+  return file;
+}
+
+if (require.main === module) {
+  const root = path.resolve(__dirname, '..');
+  const report = auditSite(root);
+  const file = writeAuditReport(root, report);
+  console.log(`SEO audit: ${report.pages.length} pages, ${report.issues} issues. Report: ${path.relative(root, file)}`);
+}
+
+module.exports = {
+  auditSite,
+  auditMarkdown,
+  writeAuditReport,
+};
@@ -0,0 +1,45 @@
+/**
+ * Walk the built site on disk (the repo root doubles as the output directory).
+ * Used by the post-build checks: structured data validation, the SEO audit and the link checker.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/** Directories that are not part of the published site. */
+const SKIP_DIRS = new Set(['node_modules', 'preview-api', 'scripts', 'docs', 'build-artifacts']);
+
+/** Every published file under root, sorted, skipping dot-dirs and SKIP_DIRS. */
+function listSiteFiles(root) {
+  const files = [];
+  const walk = (dir) => {
+    for (const ent of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (ent.name.startsWith('.')) continue;
+      const full = path.join(dir, ent.name);
+      if (ent.isDirectory()) {
+        if (!SKIP_DIRS.has(ent.name)) walk(full);
+      } else {
+        files.push(full);
+      }
+    }
+  };
+  walk(root);
+  return files.sort();
+}
+
+/** Every .html file under root, sorted. */
+function listHtmlFiles(root) {
+  return listSiteFiles(root).filter((f) => f.endsWith('.html'));
+}
+
+/** URL path an output file is served at: resources/blog/x/index.html → /resources/blog/x/ */
+function urlPathFor(root, file) {
+  const rel = path.relative(root, file).split(path.sep).join('/');
+  return '/' + rel.replace(/(^|\/)index\.html$/, '$1');
+}
+
+module.exports = {
+  listSiteFiles,
+  listHtmlFiles,
+  urlPathFor,
+};
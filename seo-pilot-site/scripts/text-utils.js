@@ -0,0 +1,38 @@
+/**
+ * Dependency-free string helpers (HTML escaping, slugs). contentful-helpers.js re-exports them;
+ * modules it requires itself (contentful-images.js, rich-text-toc.js) import them from here, so
+ * heading ids and topic slugs come from the same slugify().
+ */
+
+function escapeHtml(s) {
+  if (s == null) return '';
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeAttr(s) {
+  if (s == null) return '';
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/** URL-safe slug: lowercase ASCII words joined by hyphens (accents stripped). */
+function slugify(s) {
+  return String(s == null ? '' : s)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+module.exports = {
+  escapeHtml,
+  escapeAttr,
+  slugify,
+};
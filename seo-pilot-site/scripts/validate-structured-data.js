@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+/**
+ * Offline structured data validator for the built site.
+ * Checks every <script type="application/ld+json"> block against the required and
+ * recommended properties of the schema.org types we emit (RULES below), plus value formats
+ * (ISO 8601 dates and durations, absolute URLs, non-empty FAQ answers, sequential list positions).
+ *
+ * Runs at the end of npm run generate; standalone:
+ *   node scripts/validate-structured-data.js [--strict]
+ * Errors fail the run only with --strict (npm run generate -- --strict). Warnings never do.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listHtmlFiles, urlPathFor } = require('./site-files');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const ABSOLUTE_URL = /^https?:\/\/[^\s]+$/;
+const ISO_DURATION = /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/;
+
+/**
+ * Per type: required properties (missing/empty → error) and recommended ones (→ warning).
+ * dates / urls are checked for format when present. check() adds type-specific issues.
+ */
+const RULES = {
+  Article: {
+    required: ['headline', 'author'],
+    recommended: ['image', 'datePublished', 'dateModified', 'publisher', 'description'],
+    dates: ['datePublished', 'dateModified'],
+    urls: ['url'],
+    check(node, issue) {
+      if (typeof node.headline === 'string' && node.headline.length > 110) issue('warning', `headline is ${node.headline.length} characters (max 110)`);
+      if (node.timeRequired != null && !ISO_DURATION.test(String(node.timeRequired))) issue('error', `"timeRequired" is not an ISO 8601 duration: ${node.timeRequired}`);
+      if (node.wordCount != null && !(Number.isInteger(node.wordCount) && node.wordCount >= 0)) issue('error', `"wordCount" is not a whole number: ${node.wordCount}`);
+    },
+  },
+  BreadcrumbList: {
+    required: ['itemListElement'],
+    check(node, issue) {
+      checkListItems(node.itemListElement, issue, { needsName: true, lastMayOmitItem: true });
+    },
+  },
+  ItemList: {
+    required: ['itemListElement'],
+    recommended: ['name'],
+    check(node, issue) {
+      checkListItems(node.itemListElement, issue, { needsName: false, lastMayOmitItem: false });
+    },
+  },
+  FAQPage: {
+    required: ['mainEntity'],
+    check(node, issue) {
+      [].concat(node.mainEntity || []).forEach((q, i) => {
+        if (!q || q['@type'] !== 'Question') issue('error', `mainEntity[${i}] is not a Question`);
+      });
+    },
+  },
+  Question: {
+    required: ['name', 'acceptedAnswer'],
+    check(node, issue) {
+      const answer = node.acceptedAnswer;
+      if (answer && answer['@type'] !== 'Answer') issue('error', `acceptedAnswer of "${node.name}" is not an Answer`);
+      else if (answer && isEmpty(answer.text)) issue('error', `acceptedAnswer of "${node.name}" has no text`);
+    },
+  },
+  ProfilePage: {
+    required: ['mainEntity'],
+    urls: ['url'],
+    check(node, issue) {
+      const type = node.mainEntity && node.mainEntity['@type'];
+      if (node.mainEntity && type !== 'Person' && type !== 'Organization') issue('error', 'mainEntity must be a Person or Organization');
+    },
+  },
+  Person: {
+    required: ['name'],
+    recommended: ['url'],
+    urls: ['url', 'image'],
+    check(node, issue) {
+      [].concat(node.sameAs || []).forEach((u) => {
+        if (!ABSOLUTE_URL.test(u)) issue('error', `sameAs "${u}" is not an absolute URL`);
+      });
+    },
+  },
+  Organization: { required: ['name'], urls: ['url'] },
+  ImageObject: { required: ['url'], urls: ['url'] },
+  PropertyValue: { required: ['name', 'value'] },
+  WebSite: { required: ['name', 'url'], urls: ['url'] },
+  WebPage: { required: ['name'], urls: ['url'] },
+};
+
+function isEmpty(v) {
+  if (v == null) return true;
+  if (typeof v === 'string') return !v.trim();
+  if (Array.isArray(v)) return v.length === 0;
+  return false;
+}
+
+function checkListItems(items, issue, { needsName, lastMayOmitItem }) {
+  if (!Array.isArray(items)) return;
+  items.forEach((li, i) => {
+    const where = `itemListElement[${i}]`;
+    if (!li || li['@type'] !== 'ListItem') return issue('error', `${where} is not a ListItem`);
+    if (li.position !== i + 1) issue('error', `${where} has position ${li.position}, expected ${i + 1}`);
+    if (needsName && isEmpty(li.name) && !(li.item && li.item.name)) issue('error', `${where} has no name`);
+    const target = typeof li.item === 'string' ? li.item : (li.item && (li.item['@id'] || li.item.url)) || li.url;
+    if (!target && !(lastMayOmitItem && i === items.length - 1)) issue('error', `${where} has no item/url`);
+    if (target && !ABSOLUTE_URL.test(target)) issue('error', `${where} URL "${target}" is not absolute`);
+  });
+}
+
+/** Validate one node and everything nested in it. */
+function walk(node, pathLabel, issues) {
+  if (Array.isArray(node)) {
+    node.forEach((n, i) => walk(n, `${pathLabel}[${i}]`, issues));
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+  const types = [].concat(node['@type'] || []);
+  for (const type of types) {
+    const rule = RULES[type];
+    if (!rule) continue;
+    const issue = (level, message) => issues.push({ level, type, path: pathLabel, message });
+    for (const prop of rule.required || []) {
+      if (isEmpty(node[prop])) issue('error', `missing required "${prop}"`);
+    }
+    for (const prop of rule.recommended || []) {
+      if (isEmpty(node[prop])) issue('warning', `missing recommended "${prop}"`);
+    }
+    for (const prop of rule.dates || []) {
+      if (!isEmpty(node[prop]) && !ISO_DATE.test(String(node[prop]))) issue('error', `"${prop}" is not an ISO 8601 date: ${node[prop]}`);
+    }
+    for (const prop of rule.urls || []) {
+      const v = node[prop];
+      const u = v && typeof v === 'object' ? v.url : v;
+      if (!isEmpty(u) && typeof u === 'string' && !ABSOLUTE_URL.test(u)) issue('error', `"${prop}" is not an absolute URL: ${u}`);
+    }
+    if (rule.check) rule.check(node, issue);
+  }
+  for (const [key, value] of Object.entries(node)) {
+    if (key !== '@context' && value && typeof value === 'object') walk(value, `${pathLabel}.${key}`, issues);
+  }
+}
+
+/**
+ * Validate all ld+json blocks in an HTML document.
+ * @returns {{ level: 'error'|'warning', type: string, path: string, message: string }[]}
+ */
+function validateHtml(html) {
+  const issues = [];
+  const re = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let m;
+  let n = 0;
+  while ((m = re.exec(html))) {
+    const label = `block ${++n}`;
+    let json;
+    try {
+      json = JSON.parse(m[1]);
+    } catch (e) {
+      issues.push({ level: 'error', type: '', path: label, message: `invalid JSON: ${e.message}` });
+      continue;
+    }
+    for (const top of [].concat(json)) {
+      if (!top || !String(top['@context'] || '').includes('schema.org')) {
+        issues.push({ level: 'error', type: '', path: label, message: 'missing "@context": "https://schema.org"' });
+      }
+    }
+    walk(json, label, issues);
+  }
+  return issues;
+}
+
+/**
+ * Validate every HTML page of the built site.
+ * @returns {{ pages: { url: string, blocks: number, issues: object[] }[], errors: number, warnings: number }}
+ */
+function validateSite(root) {
+  const pages = [];
+  let errors = 0;
+  let warnings = 0;
+  for (const file of listHtmlFiles(root)) {
+    const html = fs.readFileSync(file, 'utf8');
+    const blocks = (html.match(/type=["']application\/ld\+json["']/gi) || []).length;
+    if (!blocks) continue;
+    const issues = validateHtml(html);
+    errors += issues.filter((i) => i.level === 'error').length;
+    warnings += issues.filter((i) => i.level === 'warning').length;
+    pages.push({ url: urlPathFor(root, file), blocks, issues });
+  }
+  return { pages, errors, warnings };
+}
+
+/** Print pages with issues, then a one-line summary. */
+function printReport(report) {
+  for (const page of report.pages) {
+    if (!page.issues.length) continue;
+    console.log(`${page.url}`);
+    for (const i of page.issues) {
+      console.log(`  ${i.level === 'error' ? 'ERROR' : 'warn '} ${i.type ? i.type + ' ' : ''}(${i.path}): ${i.message}`);
+    }
+  }
+  const clean = report.pages.filter((p) => !p.issues.length).length;
+  console.log(`Structured data: ${report.pages.length} pages checked, ${clean} clean, ${report.errors} errors, ${report.warnings} warnings.`);
+}
+
+if (require.main === module) {
+  const report = validateSite(path.resolve(__dirname, '..'));
+  printReport(report);
+  if (process.argv.includes('--strict') && report.errors) process.exit(1);
+}
+
+module.exports = {
+  validateHtml,
+  validateSite,
+  printReport,
+};
@@ -0,0 +1,146 @@
+// Site search over /resources/search-index.json (built by scripts/generate-resources.js).
+// Runs fully client-side: prefix matching on indexed terms, scores summed per document.
+
+(function () {
+  const form = document.getElementById("searchForm");
+  const input = document.getElementById("searchInput");
+  const statusEl = document.getElementById("searchStatus");
+  const resultsEl = document.getElementById("searchResults");
+  if (!form || !input || !resultsEl) return;
+
+  const KIND_LABELS = { post: "Article", "case-study": "Case study" };
+  let indexPromise = null;
+
+  // Same rules as tokenize() in scripts/search-index.js; the stopwords come from the index
+  function tokenize(text, stopwords) {
+    return String(text || "")
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((t) => t.length > 1 && !stopwords.has(t));
+  }
+
+  function loadIndex() {
+    if (!indexPromise) {
+      indexPromise = fetch("/resources/search-index.json")
+        .then((r) => {
+          if (!r.ok) throw new Error("HTTP " + r.status);
+          return r.json();
+        })
+        .then((index) => {
+          index.tokens = Object.keys(index.terms).sort();
+          index.stopwords = new Set(index.stopwords || []);
+          return index;
+        });
+    }
+    return indexPromise;
+  }
+
+  // First position in the sorted token list that is >= prefix
+  function lowerBound(tokens, prefix) {
+    let lo = 0;
+    let hi = tokens.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (tokens[mid] < prefix) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  // Scores per doc for one query token: exact matches count fully, longer prefix matches less
+  function scoreToken(index, token) {
+    const scores = new Map();
+    for (let i = lowerBound(index.tokens, token); i < index.tokens.length && index.tokens[i].startsWith(token); i++) {
+      const term = index.tokens[i];
+      const factor = term === token ? 1 : 0.6;
+      const postings = index.terms[term];
+      for (let j = 0; j < postings.length; j += 2) {
+        const doc = postings[j];
+        scores.set(doc, Math.max(scores.get(doc) || 0, postings[j + 1] * factor));
+      }
+    }
+    return scores;
+  }
+
+  function search(index, query) {
+    const tokens = tokenize(query, index.stopwords);
+    if (!tokens.length) return [];
+    const perToken = tokens.map((t) => scoreToken(index, t));
+    const totals = new Map();
+    const hits = new Map();
+    perToken.forEach((scores) => {
+      scores.forEach((score, doc) => {
+        totals.set(doc, (totals.get(doc) || 0) + score);
+        hits.set(doc, (hits.get(doc) || 0) + 1);
+      });
+    });
+    // Prefer documents matching every query word; fall back to any word
+    let docs = [...totals.keys()].filter((d) => hits.get(d) === tokens.length);
+    if (!docs.length) docs = [...totals.keys()];
+    return docs
+      .sort((a, b) => hits.get(b) - hits.get(a) || totals.get(b) - totals.get(a))
+      .map((d) => index.docs[d]);
+  }
+
+  function escapeHtml(s) {
+    return String(s == null ? "" : s)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  function render(query, results) {
+    if (!query.trim()) {
+      statusEl.textContent = "";
+      resultsEl.innerHTML = "";
+      return;
+    }
+    statusEl.textContent = results.length
+      ? results.length + (results.length === 1 ? " result" : " results") + " for “" + query + "”"
+      : "No results for “" + query + "”. Try a shorter or different word.";
+    resultsEl.innerHTML = results
+      .slice(0, 30)
+      .map((doc) =>
+        '<article>' +
+          '<p class="search-result-kind">' + escapeHtml(KIND_LABELS[doc.k] || "") + "</p>" +
+          '<h2><a href="' + escapeHtml(doc.u) + '">' + escapeHtml(doc.t) + "</a></h2>" +
+          (doc.s ? "<p>" + escapeHtml(doc.s) + "</p>" : "") +
+        "</article>")
+      .join("");
+  }
+
+  function run() {
+    const query = input.value;
+    loadIndex()
+      .then((index) => render(query, search(index, query)))
+      .catch(() => {
+        statusEl.textContent = "Search is unavailable right now.";
+      });
+  }
+
+  let timer = null;
+  input.addEventListener("input", () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const url = new URL(window.location.href);
+      if (input.value.trim()) url.searchParams.set("q", input.value);
+      else url.searchParams.delete("q");
+      window.history.replaceState(null, "", url);
+      run();
+    }, 150);
+  });
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    run();
+  });
+
+  const initial = new URLSearchParams(window.location.search).get("q") || "";
+  if (initial) {
+    input.value = initial;
+    run();
+  }
+})();